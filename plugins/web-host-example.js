@@ -7,8 +7,6 @@
  * sent back from that form.
  */
 
-const querystring = require("querystring");
-
 let wwwRoot, log, auth, config;
 module.exports.init = ({...args}) => {
 	log = args.log;
@@ -17,12 +15,12 @@ module.exports.init = ({...args}) => {
 	config = args.config;
 };
 
-module.exports.index = (req, res, data) => {
-	const words = ["Hello", req.connection.remoteAddress];
+module.exports.index = (req, res, query, pluginPath, leftoverPath, { html }) => {
+	const words = ["Hello", req.socket.remoteAddress];
 	const testAction_view = `
 	<html>
 		<head>
-				
+
 		<body>
 			${words
 			.map(
@@ -41,23 +39,12 @@ module.exports.index = (req, res, data) => {
 	</html>
 	`;
 
-	res.writeHead(200);
-	res.write(testAction_view);
-	return res.end();
+	html(testAction_view);
 };
 
-module.exports.post = (req, res, queryStringData) => {
-	let body = [];
-	req
-		.on("data", (chunk) => {
-			body.push(chunk);
-		})
-		.on("end", () => {
-			body = Buffer.concat(body).toString();
-
-			const queryData = querystring.parse(body);
-
-			res.writeHead(200);
-			res.end(JSON.stringify(queryData));
-		});
+module.exports.post = (req, res, query, pluginPath, leftoverPath, { readBody, json, error }) => {
+	readBody((err, data) => {
+		if (err) return error(err.statusCode ?? 400, err.message);
+		json(data);
+	});
 };
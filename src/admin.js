@@ -0,0 +1,263 @@
+/**
+ * This module is the admin console ( https://[my.website]/private/admin )
+ *
+ * Admins (the "admins" list in administration/config.json) can approve or
+ * reject pending account requests one at a time and lock, unlock, delete or
+ * reset the failed login count of existing users. Two-factor authentication
+ * can be turned off for users who lost their authenticator app and recovery
+ * codes.
+ *
+ * Changes are saved to the site's user_credentials.txt and
+ * account_creation_requests.txt and take effect immediately.
+ *
+ * The security audit log (see audit.js) can be searched at
+ * https://[my.website]/private/admin/audit
+ */
+
+const path = require('path');
+
+const audit = require(path.join(__dirname, 'audit.js'));
+const auth = require(path.join(__dirname, 'auth.js'));
+const compress = require(path.join(__dirname, 'compress.js'));
+const errors = require(path.join(__dirname, 'errors.js'));
+const lockout = require(path.join(__dirname, 'lockout.js'));
+const log = require(path.join(__dirname, 'log.js'));
+const respond = require(path.join(__dirname, 'respond.js'));
+const session = require(path.join(__dirname, 'session.js'));
+const tokens = require(path.join(__dirname, 'tokens.js'));
+
+const actions = {
+	approve: (site, name, callback) => {
+		auth.readAccountRequests(site, (err, requests) => {
+			if (err) return callback(err);
+			const request = requests.find(record => record.name === name);
+			if (!request) return callback(new Error(`No account request for ${name}`));
+
+			// Add the account before removing the request so that a failure can't lose the request.
+			auth.updateCredentials(site, (records) => {
+				if (records.some(record => record.name === name)) throw new Error(`${name} already has an account`);
+				return records.concat(request);
+			}, (err) => {
+				if (err) return callback(err);
+				auth.updateAccountRequests(site, (records) => records.filter(record => record.name !== name || record.salt !== request.salt), callback);
+			});
+		});
+	},
+	reject: (site, name, callback) => {
+		auth.updateAccountRequests(site, (records) => {
+			if (!records.some(record => record.name === name)) throw new Error(`No account request for ${name}`);
+			return records.filter(record => record.name !== name);
+		}, callback);
+	},
+	lock: (site, name, callback) => {
+		updateUser(site, name, (record) => record.locked = true, (err) => {
+			if (!err) session.revokeUser(site, name);
+			callback(err);
+		});
+	},
+	unlock: (site, name, callback) => {
+		updateUser(site, name, (record) => record.locked = false, (err) => {
+			if (!err) lockout.reset(site, name);
+			callback(err);
+		});
+	},
+	reset: (site, name, callback) => {
+		if (!auth.getAccounts(site)[name]) return callback(new Error(`No user named ${name}`));
+		lockout.reset(site, name);
+		callback();
+	},
+	disable2fa: (site, name, callback) => {
+		updateUser(site, name, (record) => {
+			if (!record.fields.totp) throw new Error(`${name} does not use two-factor authentication`);
+			delete record.fields.totp;
+			delete record.fields.recovery;
+		}, callback);
+	},
+	delete: (site, name, callback) => {
+		auth.updateCredentials(site, (records) => {
+			if (!records.some(record => record.name === name)) throw new Error(`No user named ${name}`);
+			return records.filter(record => record.name !== name);
+		}, (err) => {
+			if (!err) {
+				session.revokeUser(site, name);
+				// A new account with the same name must not get these.
+				tokens.revokeUser(site, name);
+			}
+			callback(err);
+		});
+	},
+};
+
+function updateUser(site, name, change, callback) {
+	auth.updateCredentials(site, (records) => {
+		const record = records.find(record => record.name === name);
+		if (!record) throw new Error(`No user named ${name}`);
+		change(record);
+		return records;
+	}, callback);
+}
+
+// The audit log event for each action. The rest are "account-changed".
+const auditEvents = { approve: 'account-approved', reject: 'account-rejected' };
+
+/**
+ * Send a 403 to anyone who isn't an admin of the request's site.
+ *
+ * @return {string?} The admin's name
+ */
+function checkAdmin(req, res) {
+	const admin = auth.currentUser(req);
+	if (!admin || !req.site.admins.includes(admin)) {
+		log.warning(log.tags('Admin'), `Non-admin ${admin} tried to use the admin console`);
+		errors.send(req, res, 403, "Access Forbidden");
+		return null;
+	}
+	return admin;
+}
+
+/**
+ * Handle the admin console page and its form posts.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ */
+module.exports = (req, res) => {
+	const site = req.site;
+	const admin = checkAdmin(req, res);
+	if (!admin) return;
+
+	if (req.method == 'GET' || req.method == 'HEAD') return sendConsole(req, res, site);
+	if (req.method != 'POST') return errors.send(req, res, 405, undefined, { Allow: 'GET, HEAD, POST' });
+
+	if (!auth.isSameOrigin(req)) {
+		log.warning(log.tags('Admin'), `Rejected cross-site admin form post by ${admin} from ${req.headers.origin ?? req.headers.referer}`);
+		return errors.send(req, res, 403, "Access Forbidden");
+	}
+
+	auth.readForm(req, (err, form) => {
+		if (err) return errors.send(req, res, err.statusCode ?? 400);
+
+		const action = Object.hasOwn(actions, form.action) ? actions[form.action] : null;
+		if (!action || !form.name) return errors.send(req, res, 400, 'Unknown action');
+
+		action(site, form.name, (err) => {
+			if (err) {
+				log.warning(log.tags('Admin'), `${admin} could not ${form.action} ${form.name}: ${err.message}`);
+				// File system errors have a code. Anything else is a problem with the request.
+				return errors.send(req, res, err.code ? 500 : 400, err.code ? undefined : err.message);
+			}
+			log.info(log.tags('Admin'), `${admin}: ${form.action} ${form.name}`);
+			audit.record(req, auditEvents[form.action] ?? 'account-changed', admin, { target: form.name, action: form.action });
+			res.writeHead(303, { Location: req.url });
+			res.end();
+		});
+	});
+};
+
+function sendConsole(req, res, site) {
+	auth.readAccountRequests(site, (err, requests) => {
+		if (err) {
+			log.error(log.tags('Admin'), `Unable to read account requests: ${err.message}`);
+			return errors.send(req, res, 500);
+		}
+
+		const accounts = auth.getAccounts(site);
+		const button = (action, name, label) => `<form method="POST"><input type="hidden" name="action" value="${action}" /><input type="hidden" name="name" value="${respond.escapeHtml(name)}" /><input type="submit" value="${label}" /></form>`;
+
+		const requestRows = requests.map(request => `
+				<tr><td>${respond.escapeHtml(request.name)}</td><td>${button('approve', request.name, 'Approve')}${button('reject', request.name, 'Reject')}</td></tr>`).join('');
+
+		const userRows = Object.keys(accounts).sort().map(name => {
+			const user = accounts[name];
+			const failed = lockout.getAccount(site, name);
+			const status = user.locked ? 'Locked' : failed?.lockedUntil > Date.now() ? `Locked out until ${new Date(failed.lockedUntil).toLocaleString()} (failed logins)` : 'Active';
+			return `
+				<tr><td>${respond.escapeHtml(name)}</td><td>${status}</td><td>${failed?.failures ?? 0}</td><td>${user.locked ? button('unlock', name, 'Unlock') : button('lock', name, 'Lock')}${button('reset', name, 'Reset failed logins')}${user.fields.totp ? button('disable2fa', name, 'Turn off 2FA') : ''}${button('delete', name, 'Delete')}</td></tr>`;
+		}).join('');
+
+		compress.send(req, res, 200, { "Cache-Control": "no-store", "Content-Type": "text/html; charset=utf-8" }, `<!DOCTYPE html>
+<html>
+	<head>
+		<meta charset="UTF-8">
+		<meta name="viewport" content="width=device-width, initial-scale=1.0">
+		<title>Admin</title>
+		<style>
+			table { border-collapse: collapse; margin-bottom: 2em; }
+			th, td { padding: 0.25em 1em; text-align: left; border-bottom: 1px solid #ccc; }
+			form { display: inline; }
+		</style>
+	</head>
+	<body>
+		<h2>Account Requests</h2>
+		${requests.length ? `<table>
+			<tr><th>Name</th><th></th></tr>${requestRows}
+		</table>` : '<p>No pending requests.</p>'}
+		<h2>Users</h2>
+		<table>
+			<tr><th>Name</th><th>Status</th><th>Failed Logins</th><th></th></tr>${userRows}
+		</table>
+		<p><a href="/private/admin/audit">Audit log</a></p>
+	</body>
+</html>
+`);
+	});
+}
+
+/**
+ * Search the audit log ( https://[my.website]/private/admin/audit )
+ *
+ * Query parameters filter by user (or the target of a change), ip and event.
+ * Only the newest entries are shown.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ */
+const maxAuditEntries = 500;
+module.exports.audit = (req, res) => {
+	if (!checkAdmin(req, res)) return;
+	if (req.method != 'GET' && req.method != 'HEAD') return errors.send(req, res, 405, undefined, { Allow: 'GET, HEAD' });
+
+	const params = new URL(req.url, 'http://localhost').searchParams;
+	const filter = { user: params.get('user') ?? '', ip: params.get('ip') ?? '', event: params.get('event') ?? '' };
+	audit.search(filter, maxAuditEntries, (err, entries) => {
+		if (err) {
+			log.error(log.tags('Admin'), `Unable to read the audit log: ${err.message}`);
+			return errors.send(req, res, 500);
+		}
+
+		const standardFields = ['time', 'event', 'user', 'ip', 'site', 'resource'];
+		const cell = (value) => `<td>${respond.escapeHtml(String(value ?? ''))}</td>`;
+		const rows = entries.map(entry => {
+			const details = Object.keys(entry).filter(key => !standardFields.includes(key)).map(key => `${key}: ${JSON.stringify(entry[key])}`).join(', ');
+			return `
+			<tr>${cell(entry.time)}${cell(entry.event)}${cell(entry.user)}${cell(entry.ip)}${cell(entry.resource)}${cell(details)}</tr>`;
+		}).join('');
+		const options = ['', ...audit.events].map(event => `<option value="${event}"${event == filter.event ? ' selected' : ''}>${event || 'Any event'}</option>`).join('');
+
+		compress.send(req, res, 200, { "Cache-Control": "no-store", "Content-Type": "text/html; charset=utf-8" }, `<!DOCTYPE html>
+<html>
+	<head>
+		<meta charset="UTF-8">
+		<meta name="viewport" content="width=device-width, initial-scale=1.0">
+		<title>Audit Log</title>
+		<style>
+			table { border-collapse: collapse; margin-top: 1em; }
+			th, td { padding: 0.25em 1em; text-align: left; border-bottom: 1px solid #ccc; }
+		</style>
+	</head>
+	<body>
+		<h2>Audit Log</h2>
+		<form method="GET">
+			<input name="user" type="text" placeholder="User" value="${respond.escapeHtml(filter.user)}" />
+			<input name="ip" type="text" placeholder="IP address" value="${respond.escapeHtml(filter.ip)}" />
+			<select name="event">${options}</select>
+			<input type="submit" value="Filter" />
+		</form>
+		${rows ? `<table>
+			<tr><th>Time (UTC)</th><th>Event</th><th>User</th><th>IP</th><th>Resource</th><th>Details</th></tr>${rows}
+		</table>${entries.length == maxAuditEntries ? `<p>Only the newest ${maxAuditEntries} entries are shown.</p>` : ''}` : '<p>No entries.</p>'}
+	</body>
+</html>
+`);
+	});
+};
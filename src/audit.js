@@ -0,0 +1,153 @@
+/**
+ * This module keeps the security audit log: logins, failed logins, lockouts,
+ * denied requests (403s) and changes to accounts.
+ *
+ * Unlike the dailies (see log.js), entries are structured (one JSON object per
+ * line) and kept for "auditLogRetention" days. There is one file per day (UTC)
+ * in "auditLogDirectory". Files are only ever appended to. Old days are removed
+ * as whole files.
+ *
+ * Each entry has a time, event (see events below), user, address (ip), site and
+ * resource (the requested URL). Some events add more details, like the target
+ * of an admin's change.
+ *
+ * Admins can search the log at https://[my.website]/private/admin/audit
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const log = require(path.join(__dirname, 'log.js'));
+const config = require(path.join(__dirname, 'config.js'));
+
+/**
+ * Every event type, for filtering.
+ */
+module.exports.events = [
+	'login',               // Logged in (with a password, the login form or an API token)
+	'login-failure',       // Wrong password, code or token
+	'login-blocked',       // Tried to log in while locked out
+	'lockout',             // Too many failures. An account or address is locked out for a while.
+	'logout',
+	'forbidden',           // A 403 response
+	'account-request',
+	'account-approved',
+	'account-rejected',
+	'account-changed',     // Locked, unlocked, deleted or reset by an admin
+	'password-changed',
+	'two-factor-changed',
+	'recovery-code-used',
+	'token-created',
+	'token-revoked',
+];
+
+let stream = null;
+let streamPath = null;
+
+const getDay = (time) => new Date(time).toISOString().substring(0, 10);
+
+/**
+ * The stream for a day's file. A new one is opened each day and when
+ * "auditLogDirectory" changes on reload.
+ */
+function getStream(day) {
+	const filePath = path.join(config.auditLogDirectory, `${day}.log`);
+	if (stream && streamPath === filePath) return stream;
+	stream?.end();
+	fs.mkdirSync(config.auditLogDirectory, { recursive: true, mode: 0o700 });
+	streamPath = filePath;
+	stream = fs.createWriteStream(filePath, { flags: 'a', mode: 0o600 });
+	stream.on('error', (err) => {
+		log.error(log.tags('Audit'), `Unable to write the audit log: ${err.message}`);
+		stream = null;
+	});
+	return stream;
+}
+
+/**
+ * Add an entry to the audit log.
+ *
+ * @param {Node's request object?} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {string} event               One of events
+ * @param {string?} user               Who did it (if anyone is logged in)
+ * @param {object?} details            Anything else worth keeping
+ */
+module.exports.record = (req, event, user, details = {}) => {
+	const now = Date.now();
+	const entry = Object.assign({
+		time: new Date(now).toISOString(),
+		event,
+		user: user ?? null,
+		ip: req?.socket?.remoteAddress ?? null,
+		site: req?.site?.name ?? null,
+		resource: req?.url ?? null,
+	}, details);
+	try {
+		getStream(getDay(now)).write(JSON.stringify(entry) + '\n');
+	} catch (err) {
+		log.error(log.tags('Audit'), `Unable to write the audit log: ${err.message}`);
+	}
+};
+
+/**
+ * The log files, newest first.
+ *
+ * @param {function} callback (err, files) Absolute paths
+ */
+function listFiles(callback) {
+	fs.readdir(config.auditLogDirectory, (err, names) => {
+		if (err && err.code != 'ENOENT') return callback(err);
+		callback(null, (names ?? []).filter(name => /^\d{4}-\d{2}-\d{2}\.log$/.test(name)).sort().reverse().map(name => path.join(config.auditLogDirectory, name)));
+	});
+}
+
+/**
+ * Find entries, newest first.
+ *
+ * @param {object} filter      {user, ip, event} Each is optional. "user" matches the user or the target of a change.
+ * @param {number} limit       Stop after this many entries
+ * @param {function} callback  (err, entries)
+ */
+module.exports.search = (filter, limit, callback) => {
+	const matches = (entry) => (!filter.user || entry.user === filter.user || entry.target === filter.user)
+		&& (!filter.ip || entry.ip === filter.ip)
+		&& (!filter.event || entry.event === filter.event);
+
+	listFiles((err, files) => {
+		if (err) return callback(err);
+		const found = [];
+		const next = (i) => {
+			if (i >= files.length || found.length >= limit) return callback(null, found.slice(0, limit));
+			fs.readFile(files[i], 'utf8', (err, text) => {
+				if (err && err.code != 'ENOENT') return callback(err);
+				(text ?? '').split('\n').filter(line => line).reverse().forEach(line => {
+					try {
+						const entry = JSON.parse(line);
+						if (matches(entry)) found.push(entry);
+					} catch (err) {
+						// A line cut short by a crash. Skip it.
+					}
+				});
+				next(i + 1);
+			});
+		};
+		next(0);
+	});
+};
+
+/**
+ * Remove days older than "auditLogRetention". 0 keeps everything.
+ */
+function removeExpired() {
+	if (!config.auditLogRetention) return;
+	const oldest = getDay(Date.now() - config.auditLogRetention * 24 * 60 * 60 * 1000);
+	listFiles((err, files) => {
+		if (err) return log.error(log.tags('Audit'), `Unable to clean up the audit log: ${err.message}`);
+		files.filter(file => path.basename(file, '.log') < oldest).forEach(file => fs.unlink(file, (err) => {
+			if (err) log.error(log.tags('Audit'), `Unable to remove ${file}: ${err.message}`);
+		}));
+	});
+}
+
+removeExpired();
+setInterval(removeExpired, 24 * 60 * 60 * 1000).unref();
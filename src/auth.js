@@ -3,17 +3,50 @@
  *
  * Public resources (default) do not require authentication.
  * Private resources (anything with "private" it its URL) are accessible only
- * to authenticated users.
+ * to authenticated users. This can be turned off with "privateUrls" in
+ * config.json.
  * Privacy may be specified further through authorization. Adding a file named
  * ".authorized_users" to any directory will allow access (to that directory and
  * its contents recursively) to the users specified in the .authorized_users
- * file (plaintext line break separated user names)
+ * file (plaintext line break separated user names, "@group" names from
+ * administration/groups.txt or "*" for any logged in user)
+ *
+ * A ".access" file does the same with a JSON policy instead of a list:
+ *
+ *   {
+ *     "public": false,           Anyone, without logging in
+ *     "authenticated": false,    Any logged in user
+ *     "users": ["alice"],        These users
+ *     "groups": ["family"],      Members of these groups
+ *     "methods": ["GET"],        Only these request methods (GET includes HEAD)
+ *     "inherit": false,          Take anything not set here from the closest policy above
+ *     "write": {                 Who may upload files (see upload.js). Nobody without this.
+ *       "authenticated": false,
+ *       "users": ["alice"],
+ *       "groups": ["family"]
+ *     }
+ *   }
+ *
+ * With "strictAccess" turned on in config.json, static files without an access
+ * rule are denied instead of public.
  *
  * Checking "private" URLs this way may lead to some false positives but I want
  * the bluntest possible way to ensure that the privacy of any given resource is
  * inherent in its identifier. Be aware that a typo ("prvirate") will "fail
  * open".
  *
+ * Users may turn on two-factor authentication at
+ * https://[my.website]/account/2fa . Logging in then also takes a code from an
+ * authenticator app (see totp.js) or one of their single use recovery codes.
+ * The login form has a field for it. The browser's Basic login prompt doesn't
+ * so the code goes on the end of the password ("hunter2" and code "123456" is
+ * "hunter2123456"). The secret and recovery code hashes are kept in the user's
+ * record as "totp" and "recovery" fields.
+ *
+ * Scripts can log in with a personal API token instead of a password (see
+ * tokens.js). Tokens work anywhere a password does except for account pages,
+ * the admin console and the status page (requireLogin).
+ *
  * This module also controls the "Request Account" page (
  * https://[my.website]/account ) When a user visits that URL and requests an
  * account, this module puts their account information in to the
@@ -27,53 +60,175 @@ const url = require('url');
 const os = require('os');
 const { parse } = require('querystring');
 const path = require('path');
-const { randomBytes, pbkdf2 } = require('crypto');
+const { createHash, randomBytes, pbkdf2 } = require('crypto');
 
 const log = require(path.join(__dirname, 'log.js'));
+const cache = require(path.join(__dirname, 'cache.js'));
 const config = require(path.join(__dirname, 'config.js'));
-
-const pathToUserCredentials = config.pathToUserCredentials;
-const pathToUserAccountRequests = config.pathToUserAccountRequests;
-const invalid_names = {};
-const totalUsernameLimit = config.totalUsernameLimit;
+const errors = require(path.join(__dirname, 'errors.js'));
+const session = require(path.join(__dirname, 'session.js'));
+const groups = require(path.join(__dirname, 'groups.js'));
+const lockout = require(path.join(__dirname, 'lockout.js'));
+const totp = require(path.join(__dirname, 'totp.js'));
+const tokens = require(path.join(__dirname, 'tokens.js'));
+const audit = require(path.join(__dirname, 'audit.js'));
+const body = require(path.join(__dirname, 'body.js'));
+const respond = require(path.join(__dirname, 'respond.js'));
 
 /**
  * Setup handles loading user credentials from the disk in to memory to be
  * checked against the auth header on secure requests.
+ *
+ * Each site may have its own credentials and account request files. Sites that
+ * use the same files share the same accounts.
  */
-let openAccountRequests = 0;
-let users = '';
-try {
-	users = fs.readFileSync(pathToUserCredentials, 'utf8');
+const credentialStores = {}; // Parsed user credentials. Key'd on credentials file path
+const openAccountRequests = {}; // Key'd on account requests file path
+
+/**
+ * User records (in both the credentials and account request files) are one
+ * line each:
+ *
+ *   name salt hash [locked] [key=value ...]
+ *
+ * Any word (without "=") after the hash locks the account. Other features can
+ * store more per-user data as key=value fields after that. Values are URI
+ * encoded so they can't contain spaces.
+ *
+ * @param {string} row
+ * @return {object} {name, salt, pwHash, locked, fields}
+ */
+function parseRecord(row) {
+	const [name, salt, pwHash, ...rest] = row.trim().split(/ +/);
+	const locked = rest.length > 0 && !rest[0].includes('=');
+	const fields = (locked ? rest.slice(1) : rest).reduce((acc, field) => {
+		const separator = field.indexOf('=');
+		if (separator > 0) acc[field.substring(0, separator)] = decodeURIComponent(field.substring(separator + 1));
+		return acc;
+	}, {});
+	return { name, salt, pwHash, locked, fields };
 }
-catch (err) {
-	if (err.code == 'ENOENT') {
-		// User credentials file does not exist, so we create it here.
-		fs.open(pathToUserCredentials, 'w', (err) => { if (err) throw err; });
-	} else {
-		throw err;
+
+/**
+ * @param {object} record {name, salt, pwHash, locked, fields}
+ * @return {string} The record as a line for a credentials file (without the line break)
+ */
+function formatRecord(record) {
+	const fields = Object.keys(record.fields ?? {}).map(key => `${key}=${encodeURIComponent(record.fields[key])}`);
+	return [record.name, record.salt, record.pwHash, record.locked ? 'locked' : '', ...fields].filter(part => part).join(' ');
+}
+
+function parseRecords(text, filePath) {
+	return text.split('\n').filter(row => row.length > 3).map(row => {
+		// Two-factor authentication fields make records up to about 700 characters long.
+		if (row.length > 1000) log.warning(log.tag('Auth'), `Abnormally long user record. Potentially malicious user input or mistakenly missing line break. Check ${filePath}`);
+		return parseRecord(row);
+	});
+}
+
+/**
+ * Build the in-memory accounts from user records. The store has no prototype so
+ * that user names like "constructor" or "__proto__" don't find anything but accounts.
+ */
+function createStore(records) {
+	return records.reduce((acc, user) => {
+		acc[user.name] = { salt: user.salt, pwHash: user.pwHash, locked: user.locked, fields: user.fields };
+		return acc;
+	}, Object.create(null));
+}
+
+function loadCredentials(pathToUserCredentials) {
+	let users = '';
+	try {
+		users = fs.readFileSync(pathToUserCredentials, 'utf8');
 	}
+	catch (err) {
+		if (err.code == 'ENOENT') {
+			// User credentials file does not exist, so we create it here.
+			fs.open(pathToUserCredentials, 'w', (err) => { if (err) throw err; });
+		} else {
+			throw err;
+		}
+	}
+
+	// Parse user credentials into memory
+	return createStore(parseRecords(users, pathToUserCredentials));
 }
 
-// Parse user credentials into memory
-const authorized_credentials = users.split('\n').filter(row => row.length > 3).map(row => row.trim()).map(row => {
-	if (row.length > 300) log.warning(log.tag('Auth'), `Abnormally long user record. Potentially malicious user input or mistakenly missing line break. Check ${pathToUserCredentials}`);
-	const parts = row.split(' ');
-	return { name: parts[0], salt: parts[1], pwHash: parts[2], locked: Boolean(parts[3])};
-}).reduce((acc, user) => {
-	acc[user.name] = { salt: user.salt, pwHash: user.pwHash, locked: user.locked, loginAttempts: 0 };
-	return acc;
-}, {});
-
-try {
-	openAccountRequests = Math.max(0, fs.readFileSync(pathToUserAccountRequests, 'utf8').split(os.EOL).length - 1);
-} catch (err) {
-	if (err.code != 'ENOENT') {
-		throw err;
+function countAccountRequests(pathToUserAccountRequests) {
+	try {
+		return Math.max(0, fs.readFileSync(pathToUserAccountRequests, 'utf8').split(os.EOL).length - 1);
+	} catch (err) {
+		if (err.code != 'ENOENT') {
+			throw err;
+		}
+		return 0;
+	}
+}
+
+/**
+ * Read a credentials file again. If the file can't be read, the current
+ * accounts are kept.
+ */
+function reloadCredentials(pathToUserCredentials) {
+	let reloaded;
+	try {
+		reloaded = loadCredentials(pathToUserCredentials);
+	} catch (err) {
+		log.error(log.tags('Reload', 'Auth'), `Keeping the current accounts for ${pathToUserCredentials}. ${err.message}`);
+		return;
 	}
+
+	credentialStores[pathToUserCredentials] = reloaded;
+	log.info(log.tags('Reload', 'Auth'), `Loaded ${Object.keys(reloaded).length} accounts from ${pathToUserCredentials}`);
 }
 
-log.info(log.tag('Startup'), `Open Account Requests: ${openAccountRequests}`);
+/**
+ * Reload a credentials file whenever it changes. Approving an account request
+ * (copying it into the credentials file) doesn't need a restart.
+ */
+const watchedCredentials = [];
+function watchCredentials(pathToUserCredentials) {
+	if (watchedCredentials.includes(pathToUserCredentials)) return;
+	watchedCredentials.push(pathToUserCredentials);
+	fs.watchFile(pathToUserCredentials, { persistent: false, interval: 2000 }, (current, previous) => {
+		if (current.mtimeMs !== previous.mtimeMs) reloadCredentials(pathToUserCredentials);
+	});
+}
+
+config.allSites().forEach(site => {
+	credentialStores[site.pathToUserCredentials] ??= loadCredentials(site.pathToUserCredentials);
+	watchCredentials(site.pathToUserCredentials);
+	if (openAccountRequests[site.pathToUserAccountRequests] === undefined) {
+		openAccountRequests[site.pathToUserAccountRequests] = countAccountRequests(site.pathToUserAccountRequests);
+		log.info(log.tag('Startup'), `Open Account Requests: ${openAccountRequests[site.pathToUserAccountRequests]}${site.name == config.defaultSite.name ? '' : ` (${site.name})`}`);
+	}
+});
+
+/**
+ * Reload every site's credentials and recount account requests. This picks up
+ * sites added to (or changed in) the config too.
+ */
+module.exports.reload = () => {
+	new Set(config.allSites().map(site => site.pathToUserCredentials)).forEach(pathToUserCredentials => {
+		reloadCredentials(pathToUserCredentials);
+		watchCredentials(pathToUserCredentials);
+	});
+	new Set(config.allSites().map(site => site.pathToUserAccountRequests)).forEach(pathToUserAccountRequests => {
+		try {
+			openAccountRequests[pathToUserAccountRequests] = countAccountRequests(pathToUserAccountRequests);
+		} catch (err) {
+			log.error(log.tags('Reload', 'Auth'), `Unable to count account requests in ${pathToUserAccountRequests}. ${err.message}`);
+		}
+	});
+};
+
+/**
+ * The site settings for a request. site.js sets this on every request.
+ */
+function getSite(req) {
+	return req.site ?? config.getSite(req.headers.host);
+}
 
 /**
  * Authenticate the user to allow access to private resources.
@@ -92,7 +247,7 @@ log.info(log.tag('Startup'), `Open Account Requests: ${openAccountRequests}`);
 module.exports.authenticate = function authorize(req, res, callback) {
 	// Private resources (anything with "private" in its name or location)
 	// are only available to authenticated users.
-	if (req.url && !new url.URL(req.url, req.protocol + '://' + req.headers.host).pathname.includes("private")) {
+	if (!config.privateUrls || req.url && !getServedPath(req).includes("private")) {
 		// If this request is not for a private resource, let it through.
 		callback();
 		return;
@@ -106,9 +261,25 @@ module.exports.authenticate = function authorize(req, res, callback) {
 };
 
 /**
- * Check for authorization file. Scan up the tree from the requested resource to the root.
- * In the first auth file found, check if the current user is on the list of authorized users
- * for the requested resource. If no auth file is found, default to open.
+ * The decoded path that the request is served from (see route.js). The
+ * "private" check must look at this rather than the URL as sent. Otherwise
+ * "//private/x" (a WHATWG URL reads "private" as the host) or "/%70rivate/x"
+ * get through.
+ */
+function getServedPath(req) {
+	const requestPath = tokens.getRequestPath(req);
+	try {
+		return path.posix.normalize(decodeURIComponent(requestPath));
+	} catch (err) {
+		return requestPath;
+	}
+}
+
+/**
+ * Check for an access policy. Scan up the tree from the requested resource to
+ * the root. The first .access (or .authorized_users) file found decides who may
+ * access the requested resource. If no policy is found, default to open (or
+ * closed with "strictAccess").
  *
  * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
  * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
@@ -116,50 +287,418 @@ module.exports.authenticate = function authorize(req, res, callback) {
  * @param {string} checkPath           An absolute path somewhere between the root and the requested resource.
  * @param {function} callback          Request handler that called here to check authorization.
  */
- module.exports.authorize = function checkAuthorization(req, res, root, checkPath, callback) {
-	fs.readFile(path.join(checkPath, ".authorized_users"), (err, data) => {
+module.exports.authorize = function checkAuthorization(req, res, root, checkPath, callback) {
+	findPolicy(root, checkPath, (err, policy) => {
 		if (err) {
-			if (err.code == 'ENOENT') {
-				// Recurse up the tree looking for the closest .authorized_users file
-				if (path.relative(checkPath, root) === path.basename(root)) {
-					// At the root, no auth file found. Default to open.
-					callback();
-				} else {
-					// TODO: Add a check here to prevent infinite loops and consider a
-					//       redesign to make using this function easier in plugins.
-					//
-					//       End condition: checkpath === path.dirname(checkpath)
-					checkAuthorization(req, res, root, path.dirname(checkPath), callback);
-				}
-				return;
+			log.error(log.tags('Auth'), `Authorization Failure: ${err.message}`);
+			errors.send(req, res, 500, "Internal Error");
+			return;
+		}
+
+		if (!checkMethod(req, res, policy)) return;
+
+		if (!policy || !['public', 'authenticated', 'users', 'groups'].some(rule => rule in policy)) {
+			// No one has said who may access this resource.
+			if (config.strictAccess) {
+				log.warning(log.tags('Auth'), `No access policy for ${checkPath}. Denied by strictAccess.`);
+				errors.send(req, res, 403, "Access Forbidden");
+			} else {
+				callback();
 			}
-			log.error(log.tags('Auth'), `Authorization Failure: ${err}`);
+			return;
 		}
 
-		if (!config.useHttps) {
-			log.error(log.tags('Auth', 'Abort'), `Authorization configured without HTTPS. HTTPS is required for secure password transfer. Please configure HTTPS certificates and enable HTTPS in administration/config.json`);
-			res.writeHead(500);
-			res.end("Internal Error");
+		if (policy.public) {
+			callback();
 			return;
 		}
 
-		// Make sure the user is logged in.
-		validateCredentials(req, res, () => {
-			// Check whether the logged in user is on the list of authorized users for this resource.
-			const name = getUserName(req);
-			if (data.toString().split(os.EOL).includes(name)) {
-				callback();
-			} else {
-				res.writeHead(403, { "Content-Type": "text/plain" });
-				res.end("Access Forbidden");
-				log.warning(log.tags('Auth'), `unauthorized access attempt by ${name} to ${checkPath}`);
-			}
+		requireRule(req, res, policy, checkPath, callback);
+	});
+}
+
+/**
+ * Check the "write" rule of the access policy for a directory. Writing is
+ * separate from reading. Without a "write" rule, nobody may write.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {string} root                The absolute path to the site's base folder.
+ * @param {string} dir                 The absolute path to the directory being written to.
+ * @param {function} callback          Request handler that called here to check authorization.
+ */
+module.exports.authorizeWrite = (req, res, root, dir, callback) => {
+	findPolicy(root, dir, (err, policy) => {
+		if (err) {
+			log.error(log.tags('Auth'), `Authorization Failure: ${err.message}`);
+			errors.send(req, res, 500, "Internal Error");
+			return;
+		}
+
+		if (!checkMethod(req, res, policy)) return;
+
+		if (!policy?.write) {
+			log.warning(log.tags('Auth'), `Write to ${dir} denied. No write rule.`);
+			errors.send(req, res, 403, "Access Forbidden");
+			return;
+		}
+
+		requireRule(req, res, policy.write, dir, callback);
+	});
+};
+
+/**
+ * Whether the current user may write to a directory. This is for showing or
+ * hiding things like upload forms. It doesn't check the user's password so
+ * actually writing must still go through authorizeWrite.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {string} root
+ * @param {string} dir
+ * @param {function} callback         (canWrite)
+ */
+module.exports.canWrite = (req, root, dir, callback) => {
+	findPolicy(root, dir, (err, policy) => {
+		const name = getUserName(req);
+		callback(Boolean(!err && policy?.write && name && isAllowedByRule(getSite(req), name, policy.write)));
+	});
+};
+
+/**
+ * Whether the current user may read a file, without asking them to log in.
+ * Templates check this for every included file and layout (see template.js) so
+ * that a page can't show what its reader couldn't request directly. Only a user
+ * whose credentials were checked for this request counts (see verifiedUser).
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {string} root
+ * @param {string} absoluteSystemPath
+ * @param {function} callback         (canRead)
+ */
+module.exports.canRead = (req, root, absoluteSystemPath, callback) => {
+	const webPath = '/' + path.relative(root, absoluteSystemPath).split(path.sep).join('/');
+	// A scoped token only reaches files inside its scope, included or not.
+	const name = isBearer(req) ? getTokenUser(req, encodeURI(webPath)) : module.exports.verifiedUser(req);
+	if (config.privateUrls && webPath.includes('private') && !name) return callback(false);
+	findPolicy(root, path.dirname(absoluteSystemPath), (err, policy) => {
+		if (err) log.error(log.tags('Auth'), `Authorization Failure: ${err.message}`);
+		callback(!err && module.exports.isReadAllowed(getSite(req), name, policy));
+	});
+};
+
+/**
+ * Whether a user may read what an access policy covers, the same way
+ * authorize decides.
+ *
+ * @param {object} site
+ * @param {string?} name   A user whose credentials were checked
+ * @param {object?} policy See findPolicy
+ * @return {boolean}
+ */
+module.exports.isReadAllowed = (site, name, policy) => {
+	if (!policy || !['public', 'authenticated', 'users', 'groups'].some(rule => rule in policy)) return !config.strictAccess;
+	if (policy.public) return true;
+	return Boolean(name) && isAllowedByRule(site, name, policy);
+};
+
+/**
+ * Send a 405 if the policy limits request methods and this isn't one of them.
+ *
+ * @return {boolean} Whether the request method is allowed
+ */
+function checkMethod(req, res, policy) {
+	if (!policy?.methods) return true;
+	const allowedMethods = policy.methods.map(method => method.toUpperCase());
+	if (allowedMethods.includes('GET') && !allowedMethods.includes('HEAD')) allowedMethods.push('HEAD');
+	if (allowedMethods.includes(req.method)) return true;
+	errors.send(req, res, 405, undefined, { Allow: allowedMethods.join(', ') });
+	return false;
+}
+
+/**
+ * Make the user log in then check that they are allowed by an access rule
+ * ({authenticated, users, groups}).
+ */
+function requireRule(req, res, rule, checkPath, callback) {
+	if (!rule.authenticated && !rule.users?.length && !rule.groups?.length) {
+		// Nobody can get in so there is no point asking them to log in.
+		errors.send(req, res, 403, "Access Forbidden");
+		return;
+	}
+
+	if (!config.useHttps) {
+		log.error(log.tags('Auth', 'Abort'), `Authorization configured without HTTPS. HTTPS is required for secure password transfer. Please configure HTTPS certificates and enable HTTPS in administration/config.json`);
+		errors.send(req, res, 500, "Internal Error");
+		return;
+	}
+
+	// Make sure the user is logged in.
+	validateCredentials(req, res, () => {
+		// Check whether the logged in user is allowed by the rule (by name, group or just being logged in).
+		const name = getUserName(req);
+		if (isAllowedByRule(getSite(req), name, rule)) {
+			callback();
+		} else {
+			errors.send(req, res, 403, "Access Forbidden");
+			log.warning(log.tags('Auth'), `unauthorized access attempt by ${name} to ${checkPath}`);
+		}
+	});
+}
+
+function isAllowedByRule(site, name, rule) {
+	return rule.authenticated || groups.isAllowed(site, name, (rule.users ?? []).concat((rule.groups ?? []).map(group => '@' + group)));
+}
+
+/**
+ * Find the access policy for a directory. Policies that inherit are combined
+ * with the closest policy above them. Settings in the lower policy win.
+ *
+ * @param {string} root
+ * @param {string} dir
+ * @param {function} callback (err, policy) policy is null if there isn't one
+ */
+function findPolicy(root, dir, callback) {
+	readPolicy(dir, (err, policy) => {
+		if (err) return callback(err);
+		if (policy && !policy.inherit) return callback(null, policy);
+		if (path.relative(root, dir) === '' || dir === path.dirname(dir)) return callback(null, policy);
+
+		findPolicy(root, path.dirname(dir), (err, parentPolicy) => {
+			if (err) return callback(err);
+			callback(null, policy ? Object.assign({}, parentPolicy, policy) : parentPolicy);
+		});
+	});
+}
+
+/**
+ * Read the policy in a single directory. A .access file comes before a
+ * .authorized_users file (which is the same as a policy with only "users").
+ *
+ * @param {string} dir
+ * @param {function} callback (err, policy)
+ */
+function readPolicy(dir, callback) {
+	cache.readAccessPolicy(dir, (err, policy) => {
+		if (err) return callback(err);
+		if (policy) {
+			const problem = checkPolicy(policy);
+			return problem ? callback(new Error(`Invalid ${path.join(dir, '.access')}: ${problem}`)) : callback(null, policy);
+		}
+
+		cache.readAuthorizedUsers(dir, (err, authorizedUsers) => {
+			if (err) return callback(err);
+			callback(null, authorizedUsers && { users: authorizedUsers });
 		});
 	});
 }
 
+/**
+ * @param {object} policy
+ * @return {string?} What is wrong with the policy, if anything. Broken policies deny everything.
+ */
+function checkPolicy(policy) {
+	if (!policy || typeof policy != 'object' || Array.isArray(policy)) return 'Expected an object';
+	const badFlag = ['public', 'authenticated', 'inherit'].find(rule => rule in policy && typeof policy[rule] != 'boolean');
+	if (badFlag) return `"${badFlag}" must be true or false`;
+	const badList = ['users', 'groups', 'methods'].find(rule => rule in policy && !(Array.isArray(policy[rule]) && policy[rule].every(entry => typeof entry == 'string')));
+	if (badList) return `"${badList}" must be a list of names`;
+	if ('write' in policy) {
+		if (policy.write?.public) return '"write" can\'t be public';
+		const problem = checkPolicy(policy.write);
+		if (problem) return `"write": ${problem}`;
+	}
+	return null;
+}
+
+/**
+ * Make sure the user is logged in, whatever the path. For pages (like the admin
+ * console) that must never be public. API tokens aren't accepted here so that a
+ * (possibly scoped) token can't be used to change the account or make more tokens.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {function} callback
+ */
+module.exports.requireLogin = (req, res, callback) => {
+	if (isBearer(req)) {
+		log.warning(log.tag('Auth'), `API token used for ${req.url}. Only passwords are accepted here.`);
+		errors.send(req, res, 403, 'API tokens can not be used here. Log in with a password.');
+		return;
+	}
+	if (config.useHttps) {
+		validateCredentials(req, res, callback);
+	} else {
+		module.exports.sendSecurityWarning(req, res, callback);
+	}
+};
+
 module.exports.currentUser = getUserName;
 
+/**
+ * The user whose credentials were actually checked for this request: the login
+ * form's session, an API token or Basic credentials that were accepted. Unlike
+ * currentUser, this is never just a name the client claims.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @return {string?}
+ */
+module.exports.verifiedUser = (req) => {
+	if (isBearer(req)) return getTokenUser(req);
+	if (!req.headers.authorization) return getSessionUser(req);
+	return verifiedBasicUsers.get(req) ?? null;
+};
+const verifiedBasicUsers = new WeakMap(); // Names from Basic credentials that checkPassword accepted. Key'd on request
+
+/**
+ * Whether a path is inside the scope of the request's API token, for paths other
+ * than the requested one (like the destination of a WebDAV COPY or MOVE).
+ * Requests without a token aren't limited.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {string} pathname           URL path (still URL encoded)
+ * @return {boolean}
+ */
+module.exports.isInTokenScope = (req, pathname) => !isBearer(req) || Boolean(getTokenUser(req, pathname));
+
+/**
+ * Make sure the user is allowed by a rule written like an access policy
+ * ({authenticated, users, groups}). Plugin routes use this for their "auth"
+ * setting (see compileRoutes in route.js).
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {object} rule
+ * @param {function} callback
+ */
+module.exports.requireRule = (req, res, rule, callback) => requireRule(req, res, rule, req.url, callback);
+
+/**
+ * Change the records in a user credentials or account requests file.
+ *
+ * Updates to the same file are queued so that concurrent changes are never
+ * lost. The new content is written to a temporary file which then replaces the
+ * original so that a crash can't leave a half written file.
+ *
+ * @param {string} filePath
+ * @param {function} update   (records) => records  May throw to cancel the update. Nothing is written then.
+ * @param {function} callback (err, records)        The records as written
+ */
+const writeQueues = {}; // Pending updates. Key'd on file path
+function updateRecordsFile(filePath, update, callback) {
+	const queue = writeQueues[filePath] ??= [];
+	queue.push({ update, callback });
+	if (queue.length === 1) writeNext(filePath);
+}
+
+function writeNext(filePath) {
+	const queue = writeQueues[filePath];
+	const { update, callback } = queue[0];
+	const finish = (err, records) => {
+		queue.shift();
+		if (queue.length > 0) writeNext(filePath);
+		callback(err, records);
+	};
+
+	fs.readFile(filePath, 'utf8', (err, text) => {
+		if (err && err.code != 'ENOENT') return finish(err);
+
+		let records;
+		try {
+			records = update(parseRecords(text ?? '', filePath));
+		} catch (err) {
+			return finish(err);
+		}
+
+		const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${randomBytes(6).toString('hex')}.tmp`);
+		fs.writeFile(tempPath, records.map(record => formatRecord(record) + os.EOL).join(''), (err) => {
+			if (err) return finish(err);
+			fs.rename(tempPath, filePath, (err) => {
+				if (err) fs.unlink(tempPath, () => {});
+				finish(err, records);
+			});
+		});
+	});
+}
+
+/**
+ * Change a site's user credentials. The in-memory accounts are updated as soon
+ * as the file is written.
+ *
+ * @param {object} site       See config.sites
+ * @param {function} update   (records) => records  Records are {name, salt, pwHash, locked, fields}
+ * @param {function} callback (err)
+ */
+module.exports.updateCredentials = (site, update, callback) => {
+	const pathToUserCredentials = site.pathToUserCredentials;
+	updateRecordsFile(pathToUserCredentials, update, (err, records) => {
+		if (!err) credentialStores[pathToUserCredentials] = createStore(records);
+		callback(err);
+	});
+};
+
+/**
+ * Change a site's pending account requests.
+ *
+ * @param {object} site       See config.sites
+ * @param {function} update   (records) => records
+ * @param {function} callback (err)
+ */
+module.exports.updateAccountRequests = (site, update, callback) => {
+	const pathToUserAccountRequests = site.pathToUserAccountRequests;
+	updateRecordsFile(pathToUserAccountRequests, update, (err, records) => {
+		if (!err) openAccountRequests[pathToUserAccountRequests] = records.length;
+		callback(err);
+	});
+};
+
+/**
+ * Read a site's pending account requests.
+ *
+ * @param {object} site
+ * @param {function} callback (err, records)
+ */
+module.exports.readAccountRequests = (site, callback) => {
+	fs.readFile(site.pathToUserAccountRequests, 'utf8', (err, text) => {
+		if (err && err.code != 'ENOENT') return callback(err);
+		callback(null, parseRecords(text ?? '', site.pathToUserAccountRequests));
+	});
+};
+
+/**
+ * The in-memory accounts for a site. Each is {salt, pwHash, locked, fields}. Key'd on user name.
+ *
+ * @param {object} site
+ * @return {object}
+ */
+module.exports.getAccounts = (site) => credentialStores[site.pathToUserCredentials] ?? createStore([]);
+
+/**
+ * Read a URL encoded form from a request body.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {function} callback         (err, form) err has a statusCode if the form was rejected
+ */
+const maxFormSize = 64 * 1024;
+module.exports.readForm = (req, callback) => {
+	body.readRaw(req, maxFormSize, (err, data) => err ? callback(err) : callback(null, parse(data.toString())));
+};
+
+/**
+ * Whether a (form) request came from a page on this site. Browsers send the
+ * Origin (or at least Referer) header with form posts so this stops other
+ * sites from submitting forms on a logged in user's behalf.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @return {boolean}
+ */
+module.exports.isSameOrigin = (req) => {
+	try {
+		return new url.URL(req.headers.origin ?? req.headers.referer).host === req.headers.host;
+	} catch (err) {
+		return false;
+	}
+};
+
 /**
  * Handle sending/receiving the new account request form.
  */
@@ -188,43 +727,40 @@ module.exports.sendAccountForm = (req, res) => {
 	}
 
 	else if (req.method == "POST") {
-		let body = [];
-		req.on('data', (chunk) => {
-			body.push(chunk);
-		}).on('end', () => {
-			body = parse(Buffer.concat(body).toString());
-			// at this point, `body` has the entire request body stored in it as a string
-			if (/[^A-z^0-9]/.test(body.username) || body.username.length > 64) {
+		module.exports.readForm(req, (err, form) => {
+			if (err) return errors.send(req, res, err.statusCode ?? 400);
+			if (typeof form.username != 'string' || typeof form.password != 'string' || /[^A-z^0-9]/.test(form.username) || form.username.length > 64) {
 				// Username Validation failed
-				log.warning(log.tag('Auth'), `Invalid username request ${JSON.stringify(body.username)}`);
+				log.warning(log.tag('Auth'), `Invalid username request ${JSON.stringify(form.username)}`);
 				res.writeHead(400);
 				res.end('Invalid Username');
 				return;
 			}
 
-			const username = path.normalize(body.username);
-			const password = path.normalize(body.password);
+			const username = path.normalize(form.username);
+			const password = path.normalize(form.password);
 			const salt = randomBytes(64).toString('base64');
 
-			if (openAccountRequests > 100) {
+			if (openAccountRequests[getSite(req).pathToUserAccountRequests] > 100) {
 				log.warning(log.tag('Auth'), `Too many open account requests`);
-				res.writeHead(500, { 'Content-Type': 'text/plain' });
-				res.end('Too many open account requests.');
+				errors.send(req, res, 500, 'Too many open account requests.');
 			} else {
 				getPasswordHash(salt, password, (err, pwHash) => {
 
 					if (err) {
 						log.error(log.tag('Auth'), err);
-						res.writeHead(500);
-						res.end();
+						errors.send(req, res, 500);
 						return;
 					}
 
-					const userRecord = `${username} ${salt} ${pwHash.toString('base64')}`;
+					const userRecord = { name: username, salt, pwHash: pwHash.toString('base64') };
 					log.info(log.tag('Auth'), `New account request (${username})`);
-					fs.appendFile(pathToUserAccountRequests, userRecord + os.EOL, function (err) {
-						if (err) throw err;
-						openAccountRequests++;
+					audit.record(req, 'account-request', null, { target: username });
+					module.exports.updateAccountRequests(getSite(req), (records) => records.concat(userRecord), function (err) {
+						if (err) {
+							log.error(log.tag('Auth'), `Unable to save account request: ${err.message}`);
+							return errors.send(req, res, 500);
+						}
 						res.writeHead(200, { 'Content-Type': 'text/plain' });
 						res.end('Account requested.');
 					});
@@ -234,6 +770,366 @@ module.exports.sendAccountForm = (req, res) => {
 	}
 }
 
+/**
+ * Handle sending/receiving the change password form ( https://[my.website]/account/password )
+ *
+ * The user must be logged in and enter their current password again. The new
+ * password gets a new salt. The change is saved to the credentials file and
+ * takes effect immediately.
+ */
+module.exports.sendPasswordForm = (req, res) => {
+	module.exports.requireLogin(req, res, () => {
+		if (req.method == "GET" || req.method == "HEAD") {
+			res.writeHead(200, { 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
+			res.end(req.method == "HEAD" ? undefined : `
+<html>
+	<body>
+		<form method="POST" action="/account/password">
+			<label for="current">Current password:</label>
+			<input name="current" type="password" autocomplete="current-password" />
+			<label for="password">New password:</label>
+			<input name="password" type="password" autocomplete="new-password" />
+			<label for="confirm">Confirm new password:</label>
+			<input name="confirm" type="password" autocomplete="new-password" />
+			<input type="submit" value="Change Password" />
+		</form>
+	</body>
+</html>
+`);
+			return;
+		}
+
+		if (req.method != "POST") return errors.send(req, res, 405, undefined, { Allow: 'GET, HEAD, POST' });
+		if (!module.exports.isSameOrigin(req)) return errors.send(req, res, 403, "Access Forbidden");
+
+		module.exports.readForm(req, (err, form) => {
+			if (err) return errors.send(req, res, err.statusCode ?? 400);
+
+			const site = getSite(req);
+			const username = getUserName(req);
+			if (typeof form.current != 'string' || typeof form.password != 'string' || !form.password) return errors.send(req, res, 400, 'Missing password');
+			if (form.password !== form.confirm) return errors.send(req, res, 400, 'New passwords do not match');
+			if (form.password.length > 1024) return errors.send(req, res, 400, 'New password is too long');
+
+			checkCurrentPassword(req, res, site, username, form.current, () => {
+				const salt = randomBytes(64).toString('base64');
+				getPasswordHash(salt, form.password, (err, pwHash) => {
+					if (err) {
+						log.error(log.tag('Auth'), err);
+						return errors.send(req, res, 500);
+					}
+
+					module.exports.updateCredentials(site, (records) => {
+						const record = records.find(record => record.name === username);
+						if (!record) throw new Error(`${username} is not in ${site.pathToUserCredentials}`);
+						record.salt = salt;
+						record.pwHash = pwHash.toString('base64');
+						return records;
+					}, (err) => {
+						if (err) {
+							log.error(log.tag('Auth'), `Password change failed for ${username}: ${err.message}`);
+							return errors.send(req, res, 500);
+						}
+						log.info(log.tag('Auth'), `Password changed (${username})`);
+						audit.record(req, 'password-changed', username);
+						session.revokeUser(site, username);
+						res.writeHead(200, { 'Content-Type': 'text/plain' });
+						res.end('Password changed. Log in again with the new password.');
+					});
+				});
+			});
+		});
+	});
+};
+
+/**
+ * Handle sending/receiving the two-factor authentication form ( https://[my.website]/account/2fa )
+ *
+ * Turning it on shows a new secret to add to an authenticator app. It only
+ * takes effect once a code from the app has been entered, so a mistyped secret
+ * can't lock the user out. Every change needs the current password again. Turning
+ * it off or getting new recovery codes needs a code (or recovery code) too.
+ */
+module.exports.sendTwoFactorForm = (req, res) => {
+	module.exports.requireLogin(req, res, () => {
+		const site = getSite(req);
+		const username = getUserName(req);
+		const user = credentialStores[site.pathToUserCredentials][username];
+		if (!user) {
+			// Removed or renamed since the session was created or the login was checked.
+			log.warning(log.tag('Auth'), `No account for logged in user. Username: ${username}`);
+			return sendLoginPrompt(req, res);
+		}
+
+		if (req.method == "GET" || req.method == "HEAD") {
+			const secret = totp.generateSecret();
+			const uri = totp.getUri((req.headers.host ?? 'web-host').replace(/:\d+$/, ''), username, secret);
+			const recoveryCount = (user.fields.recovery ?? '').split('.').filter(hash => hash).length;
+			res.writeHead(200, { 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
+			res.end(req.method == "HEAD" ? undefined : user.fields.totp ? `
+<html>
+	<body>
+		<p>Two-factor authentication is on. ${recoveryCount} recovery codes left.</p>
+		<form method="POST" action="/account/2fa">
+			<input name="action" type="hidden" value="recovery" />
+			<label for="current">Current password:</label>
+			<input name="current" type="password" autocomplete="current-password" />
+			<label for="code">Code:</label>
+			<input name="code" type="text" autocomplete="one-time-code" />
+			<input type="submit" value="Get New Recovery Codes" />
+		</form>
+		<form method="POST" action="/account/2fa">
+			<input name="action" type="hidden" value="disable" />
+			<label for="current">Current password:</label>
+			<input name="current" type="password" autocomplete="current-password" />
+			<label for="code">Code:</label>
+			<input name="code" type="text" autocomplete="one-time-code" />
+			<input type="submit" value="Turn Off Two-Factor Authentication" />
+		</form>
+	</body>
+</html>
+` : `
+<html>
+	<body>
+		<p>Add this key to an authenticator app: <code>${secret.match(/.{1,4}/g).join(' ')}</code></p>
+		<p>Some apps take a link instead: <code>${uri}</code></p>
+		<form method="POST" action="/account/2fa">
+			<input name="action" type="hidden" value="enable" />
+			<input name="secret" type="hidden" value="${secret}" />
+			<label for="current">Current password:</label>
+			<input name="current" type="password" autocomplete="current-password" />
+			<label for="code">Code from the app:</label>
+			<input name="code" type="text" inputmode="numeric" autocomplete="one-time-code" />
+			<input type="submit" value="Turn On Two-Factor Authentication" />
+		</form>
+	</body>
+</html>
+`);
+			return;
+		}
+
+		if (req.method != "POST") return errors.send(req, res, 405, undefined, { Allow: 'GET, HEAD, POST' });
+		if (!module.exports.isSameOrigin(req)) return errors.send(req, res, 403, "Access Forbidden");
+
+		module.exports.readForm(req, (err, form) => {
+			if (err) return errors.send(req, res, err.statusCode ?? 400);
+			if (typeof form.current != 'string' || typeof form.code != 'string') return errors.send(req, res, 400, 'Missing password or code');
+			const code = form.code.replace(/\s/g, '');
+
+			// change(record) returns the message to send once it is saved.
+			const save = (change) => {
+				let message;
+				module.exports.updateCredentials(site, (records) => {
+					const record = records.find(record => record.name === username);
+					if (!record) throw new Error(`${username} is not in ${site.pathToUserCredentials}`);
+					message = change(record);
+					return records;
+				}, (err) => {
+					if (err) {
+						log.error(log.tag('Auth'), `Two-factor authentication change failed for ${username}: ${err.message}`);
+						return errors.send(req, res, 500);
+					}
+					const change = form.action == 'disable' ? 'turned off' : form.action == 'enable' ? 'turned on' : 'recovery codes replaced';
+					log.info(log.tag('Auth'), `Two-factor authentication ${change} (${username})`);
+					audit.record(req, 'two-factor-changed', username, { change });
+					res.writeHead(200, { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' });
+					res.end(message);
+				});
+			};
+			const newRecoveryCodes = (record) => {
+				const codes = totp.generateRecoveryCodes();
+				record.fields.recovery = codes.map(totp.hashRecoveryCode).join('.');
+				return `Save these recovery codes somewhere safe. Each one can be used once in place of a code if the authenticator app is lost. They will not be shown again.\n\n${codes.join('\n')}\n`;
+			};
+
+			if (form.action == 'enable') {
+				if (user.fields.totp) return errors.send(req, res, 400, 'Two-factor authentication is already on');
+				if (typeof form.secret != 'string' || totp.decodeBase32(form.secret)?.length != 20) return errors.send(req, res, 400, 'Invalid secret');
+				checkCurrentPassword(req, res, site, username, form.current, () => {
+					// Not a guess at the account. Most likely a typo or the wrong clock.
+					const step = totp.verify(form.secret, code);
+					if (step === null) return errors.send(req, res, 400, 'Wrong code. Check that the key was entered correctly and try again.');
+					usedSteps.set(`${site.pathToUserCredentials}\n${username}`, step);
+					// Codes accepted before it was last turned off were for a different secret.
+					forgetAcceptedCodes(site, username);
+					save((record) => {
+						record.fields.totp = form.secret.toUpperCase();
+						return `Two-factor authentication is on.\n\n${newRecoveryCodes(record)}`;
+					});
+				});
+				return;
+			}
+
+			if (form.action != 'disable' && form.action != 'recovery') return errors.send(req, res, 400, 'Unknown action');
+			if (!user.fields.totp) return errors.send(req, res, 400, 'Two-factor authentication is off');
+			checkCurrentPassword(req, res, site, username, form.current, () => {
+				checkSecondFactor(req, site, username, user, code, (valid) => {
+					if (!valid) {
+						log.warning(log.tag('Auth'), `Wrong two-factor code. Username: ${username}`);
+						audit.record(req, 'login-failure', username, { reason: 'Wrong two-factor code' });
+						lockout.recordFailure(req, site, username);
+						return errors.send(req, res, 403, 'Wrong code');
+					}
+					if (form.action == 'disable') {
+						save((record) => {
+							delete record.fields.totp;
+							delete record.fields.recovery;
+							return 'Two-factor authentication is off.';
+						});
+					} else {
+						save(newRecoveryCodes);
+					}
+				});
+			});
+		});
+	});
+};
+
+/**
+ * Handle sending/receiving the API tokens form ( https://[my.website]/account/tokens )
+ *
+ * Lists the user's tokens with a button to revoke each and a form to create a
+ * new one. A new token is shown once, right after it is created.
+ */
+module.exports.sendTokensForm = (req, res) => {
+	module.exports.requireLogin(req, res, () => {
+		const site = getSite(req);
+		const username = getUserName(req);
+
+		if (req.method == "GET" || req.method == "HEAD") {
+			const date = (time) => time === null ? 'Never' : new Date(time).toLocaleString();
+			const rows = tokens.list(site, username).map(token => `
+			<tr><td>${respond.escapeHtml(token.name)}</td><td>${respond.escapeHtml(token.scope ?? 'Everything')}</td><td>${date(token.created)}</td><td>${date(token.expires)}</td><td><form method="POST" action="/account/tokens"><input name="action" type="hidden" value="revoke" /><input name="id" type="hidden" value="${token.id}" /><input type="submit" value="Revoke" /></form></td></tr>`).join('');
+			res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+			res.end(req.method == "HEAD" ? undefined : `
+<html>
+	<body>
+		${rows ? `<table>
+			<tr><th>Name</th><th>Paths</th><th>Created</th><th>Expires</th><th></th></tr>${rows}
+		</table>` : '<p>No API tokens.</p>'}
+		<form method="POST" action="/account/tokens">
+			<input name="action" type="hidden" value="create" />
+			<label for="name">Name:</label>
+			<input name="name" type="text" />
+			<label for="days">Expires after (days, blank for never):</label>
+			<input name="days" type="number" min="1" />
+			<label for="scope">Only for paths under (blank for everything):</label>
+			<input name="scope" type="text" placeholder="/backups" />
+			<input type="submit" value="Create Token" />
+		</form>
+	</body>
+</html>
+`);
+			return;
+		}
+
+		if (req.method != "POST") return errors.send(req, res, 405, undefined, { Allow: 'GET, HEAD, POST' });
+		if (!module.exports.isSameOrigin(req)) return errors.send(req, res, 403, "Access Forbidden");
+
+		module.exports.readForm(req, (err, form) => {
+			if (err) return errors.send(req, res, err.statusCode ?? 400);
+
+			if (form.action == 'revoke') {
+				if (typeof form.id != 'string' || !tokens.revoke(site, username, form.id)) return errors.send(req, res, 404, 'No such token');
+				audit.record(req, 'token-revoked', username, { token: form.id });
+				res.writeHead(303, { Location: '/account/tokens' });
+				res.end();
+				return;
+			}
+
+			if (form.action != 'create') return errors.send(req, res, 400, 'Unknown action');
+			const name = typeof form.name == 'string' ? form.name.trim() : '';
+			if (!name || name.length > 100) return errors.send(req, res, 400, 'Give the token a name (up to 100 characters)');
+			const days = form.days ? Number(form.days) : null;
+			if (days !== null && !(Number.isInteger(days) && days > 0 && days <= 3650)) return errors.send(req, res, 400, 'Expiry must be a whole number of days');
+			const scope = form.scope ? tokens.normalizeScope(form.scope.trim()) : null;
+			if (form.scope && !scope) return errors.send(req, res, 400, 'Paths must start with "/"');
+
+			let token;
+			try {
+				token = tokens.create(site, username, name, days === null ? null : Date.now() + days * 24 * 60 * 60 * 1000, scope);
+			} catch (err) {
+				return errors.send(req, res, 400, err.message);
+			}
+			audit.record(req, 'token-created', username, { name, scope });
+			res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+			res.end(`Token created. Copy it now. It will not be shown again.\n\n${token}\n\nSend it in an "Authorization: Bearer ${token}" header.\n`);
+		});
+	});
+};
+
+/**
+ * Handle sending/receiving the login form ( https://[my.website]/login )
+ *
+ * This is only available when "sessions" is turned on in config.json. Logging
+ * in starts a session (see session.js) which then works everywhere Basic
+ * credentials do.
+ */
+module.exports.sendLoginForm = (req, res) => {
+	if (!config.sessions) return errors.send(req, res, 404);
+	if (!config.useHttps && !config.ignoreSecurity) return module.exports.sendSecurityWarning(req, res);
+
+	// Where to go after logging in. Only paths on this site. Anything else could send users somewhere unexpected.
+	const returnTo = new url.URL(req.url, 'http://localhost').searchParams.get('return') ?? '/';
+	const safeReturnTo = /^\/(?![\/\\])/.test(returnTo) ? returnTo : '/';
+
+	const sendForm = (statusCode, message) => {
+		res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+		res.end(req.method == "HEAD" ? undefined : `
+<html>
+	<body>
+		${message ? `<p>${message}</p>` : ''}
+		<form method="POST" action="/login?return=${encodeURIComponent(safeReturnTo)}">
+			<label for="username">Username:</label>
+			<input name="username" type="text" autocomplete="username" />
+			<label for="password">password</label>
+			<input name="password" type="password" autocomplete="current-password" />
+			<label for="code">Code (with two-factor authentication):</label>
+			<input name="code" type="text" autocomplete="one-time-code" />
+			<label><input name="remember" type="checkbox" /> Remember me</label>
+			<input type="submit" value="Log In" />
+		</form>
+	</body>
+</html>
+`);
+	};
+
+	if (req.method == "GET" || req.method == "HEAD") return sendForm(200);
+	if (req.method != "POST") return errors.send(req, res, 405, undefined, { Allow: 'GET, HEAD, POST' });
+	if (!module.exports.isSameOrigin(req)) return errors.send(req, res, 403, "Access Forbidden");
+
+	module.exports.readForm(req, (err, form) => {
+		if (err) return errors.send(req, res, err.statusCode ?? 400);
+		if (typeof form.username != 'string' || typeof form.password != 'string') return sendForm(400, 'Enter a user name and password.');
+
+		const code = typeof form.code == 'string' ? form.code.replace(/\s/g, '') : '';
+		checkPassword(req, res, form.username, form.password, code, () => {
+			session.create(res, getSite(req), form.username, Boolean(form.remember));
+			log.info(log.tag('Auth'), `Logged in (${form.username})`);
+			res.writeHead(303, { Location: safeReturnTo });
+			res.end();
+		}, () => sendForm(401, 'Wrong user name, password or code.'));
+	});
+};
+
+/**
+ * End the login form's session ( https://[my.website]/logout )
+ *
+ * Browsers keep sending Basic credentials until they are closed so this only
+ * logs out of sessions.
+ */
+module.exports.logout = (req, res) => {
+	if (!config.sessions) return errors.send(req, res, 404);
+	const name = getSessionUser(req);
+	session.destroy(req, res);
+	if (name) {
+		log.info(log.tag('Auth'), `Logged out (${name})`);
+		audit.record(req, 'logout', name);
+	}
+	res.writeHead(303, { Location: '/' });
+	res.end();
+};
+
 /**
  * Handle sending/receiving the new account request form.
  */
@@ -266,76 +1162,270 @@ module.exports.sendAccountForm = (req, res) => {
  * @param {function} callback
  */
 function validateCredentials(req, res, callback) {
+	if (isBearer(req)) {
+		const name = getTokenUser(req);
+		if (name) {
+			recordLogin(req, name, 'token');
+			callback();
+			return;
+		}
+		log.warning(log.tag('Auth'), `Unauthorized: Invalid, expired or out of scope API token for ${req.url}`);
+		audit.record(req, 'login-failure', null, { method: 'token', reason: 'Invalid, expired or out of scope API token' });
+		errors.send(req, res, 401, "Access Denied", { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+		return;
+	}
+
+	// Being logged in with the login form counts the same as Basic credentials.
+	if (!req.headers.authorization && getSessionUser(req)) {
+		callback();
+		return;
+	}
+
 	const auth = req.headers.authorization;
 	const parts = auth && auth.split(' ');
 	const credentials = parts && parts.length > 1 && Buffer.from(parts[1], 'base64').toString('ascii').split(':');
 
 	if (!credentials) {
 		log.info(log.tag('Auth'), 'Unauthorized: credentials not provided');
-		sendLoginPrompt(res);
+		sendLoginPrompt(req, res);
 		return;
 	}
 
-	if (authorized_credentials[credentials[0]] == null && invalid_names[credentials[0]] == null) {
-		// If the provided credentials are not on the list of authorized users or
-		// the list of invalid names, then add them to the list of invalid names.
-		// This allows and invalid account login attempt to be treated (and
-		// locked) the same as a regular login attempt with the same logic.
-
-		if (Object.keys(authorized_credentials).length + Object.keys(invalid_names).length > totalUsernameLimit) {
-			// This check just limits the number of tracked invalid account names.
-			log.warning(log.tags('Auth'), 'Too many invalid account login attempts');
-			res.writeHead(500);
-			stallSend("Internal Error", res);
+	checkPassword(req, res, credentials[0], credentials[1], undefined, callback, () => sendLoginPrompt(req, res));
+}
+
+/**
+ * Check a user name and password (and code, with two-factor authentication)
+ * against the site's user credentials.
+ *
+ * Wrong passwords and codes count towards locking the account and the address
+ * they came from (see lockout.js). Unknown user names are counted the same way.
+ * A locked out login gets a 429 without checking the password. That and
+ * internal errors are sent from here.
+ *
+ * @param {node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {string} username
+ * @param {string} password
+ * @param {string?} code               undefined for Basic credentials. The code is on the end of the password then.
+ * @param {function} onValid
+ * @param {function} onInvalid
+ */
+function checkPassword(req, res, username, password, code, onValid, onInvalid) {
+	const site = getSite(req);
+	const authorized_credentials = credentialStores[site.pathToUserCredentials];
+	const user = authorized_credentials[username];
+
+	const wait = lockout.check(req, site, username);
+	if (wait) {
+		log.warning(log.tag('Auth'), `Unauthorized: Locked out for ${wait} more seconds. Username: ${username}`);
+		audit.record(req, 'login-blocked', username, { retryAfter: wait });
+		errors.send(req, res, 429, 'Too many failed logins. Try again later.', { 'Retry-After': wait });
+		return;
+	}
+
+	// Browsers send the same Basic credentials with every request, long after the code in them has changed.
+	const basic = code === undefined;
+	const basicPassword = password ?? '';
+	const accepted = basic && isAcceptedCode(site, username, basicPassword);
+	if (basic && user?.fields.totp) {
+		const split = (password ?? '').match(/^(.*?)(\d{6}|[a-z2-7]{5}-[a-z2-7]{5})$/is);
+		password = split ? split[1] : password;
+		code = split ? split[2] : '';
+	}
+
+	// Unknown names are hashed too so that they take as long to check as real ones.
+	getPasswordHash(user?.salt ?? '', password ?? '', (err, pwHash) => {
+		if (err) {
+			log.error(log.tag('Auth'), err);
+			errors.send(req, res, 500);
 			return;
 		}
+		const reject = (reason) => {
+			log.warning(log.tag('Auth'), `Unauthorized: ${reason}. Username: ${username}`);
+			audit.record(req, 'login-failure', username, { method: basic ? 'basic' : 'form', reason });
+			lockout.recordFailure(req, site, username);
+			onInvalid();
+		};
+		if (!user || user.pwHash.trim() != pwHash.toString('base64') || user.locked) return reject('Wrong Password');
 
-		invalid_names[credentials[0]] = {
-			salt: ' no salt ',
-			pwHash: ' no password hash ',
-			loginAttempts: 0,
-			locked: false,
+		const accept = () => {
+			if (basic) verifiedBasicUsers.set(req, username);
+			lockout.recordSuccess(req, site, username);
+			recordLogin(req, username, basic ? 'basic' : 'form');
+			onValid();
 		};
+		if (!user.fields.totp || accepted) return accept();
+		checkSecondFactor(req, site, username, user, code, (valid) => {
+			if (!valid) return reject('Wrong two-factor code');
+			if (basic) acceptCode(site, username, basicPassword);
+			accept();
+		});
+	});
+}
+
+/**
+ * Check a second factor: a code from the user's authenticator app or one of
+ * their recovery codes. Each code only works once. A recovery code is used up
+ * (removed from the credentials file) before it is accepted.
+ *
+ * @param {node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {object} site
+ * @param {string} username
+ * @param {object} user        The user's account. See getAccounts.
+ * @param {string} code
+ * @param {function} callback  (valid)
+ */
+const usedSteps = new Map(); // The time step of each user's last accepted code. Key'd on credentials file path and user name
+function checkSecondFactor(req, site, username, user, code, callback) {
+	const key = `${site.pathToUserCredentials}\n${username}`;
+	const step = totp.verify(user.fields.totp, code);
+	if (step !== null) {
+		if (step <= (usedSteps.get(key) ?? -Infinity)) return callback(false);
+		usedSteps.set(key, step);
+		return callback(true);
 	}
 
-	const username = credentials && credentials[0];
-	const password = credentials && credentials[1];
-	const salt = authorized_credentials[username]?.salt ?? '';
+	if (!totp.isRecoveryCode(code)) return callback(false);
+	const hash = totp.hashRecoveryCode(code);
+	if (!(user.fields.recovery ?? '').split('.').includes(hash)) return callback(false);
+	let remaining;
+	module.exports.updateCredentials(site, (records) => {
+		const record = records.find(record => record.name === username);
+		remaining = (record?.fields.recovery ?? '').split('.').filter(recoveryHash => recoveryHash);
+		// It may have been used by another request since the check above.
+		if (!remaining.includes(hash)) throw new Error('Recovery code already used');
+		remaining = remaining.filter(recoveryHash => recoveryHash !== hash);
+		record.fields.recovery = remaining.join('.');
+		return records;
+	}, (err) => {
+		if (err) {
+			log.warning(log.tag('Auth'), `Recovery code not accepted for ${username}: ${err.message}`);
+			return callback(false);
+		}
+		log.info(log.tag('Auth'), `Recovery code used (${username}). ${remaining.length} left`);
+		audit.record(req, 'recovery-code-used', username, { remaining: remaining.length });
+		callback(true);
+	});
+}
+
+/**
+ * Add a login to the audit log. Basic credentials and API tokens are checked
+ * on every request so those are only recorded once an hour for each user and
+ * address.
+ */
+const recentLogins = new Map(); // When each was last recorded. Key'd on method, user name and address
+function recordLogin(req, username, method) {
+	const now = Date.now();
+	if (method != 'form') {
+		const key = `${method}\n${username}\n${req.socket.remoteAddress}`;
+		if (now - (recentLogins.get(key) ?? 0) < 60 * 60 * 1000) return;
+		recentLogins.forEach((time, key) => now - time >= 60 * 60 * 1000 && recentLogins.delete(key));
+		recentLogins.set(key, now);
+	}
+	audit.record(req, 'login', username, { method });
+}
 
-	getPasswordHash(salt, password, (err, pwHash) => {
+/**
+ * Basic credentials with a code that was accepted keep working for
+ * "sessionLifetime" seconds, like a login form session would. Only a hash of
+ * them is kept.
+ */
+const acceptedCodes = new Map(); // Key'd on a hash of the credentials file path, user name and password (with code)
+function hashCredentials(site, username, password) {
+	return createHash('sha256').update(`${site.pathToUserCredentials}\n${username}\n${password}`).digest('base64url');
+}
+
+function isAcceptedCode(site, username, password) {
+	return (acceptedCodes.get(hashCredentials(site, username, password))?.expires ?? 0) > Date.now();
+}
+
+function acceptCode(site, username, password) {
+	const now = Date.now();
+	acceptedCodes.forEach((accepted, key) => accepted.expires <= now && acceptedCodes.delete(key));
+	acceptedCodes.set(hashCredentials(site, username, password), { credentials: site.pathToUserCredentials, username, expires: now + config.sessionLifetime * 1000 });
+}
+
+/**
+ * Stop accepting a user's remembered Basic credentials (when they get a new
+ * two-factor secret).
+ */
+function forgetAcceptedCodes(site, username) {
+	acceptedCodes.forEach((accepted, key) => accepted.credentials === site.pathToUserCredentials && accepted.username === username && acceptedCodes.delete(key));
+}
+
+/**
+ * Check a logged in user's current password again before a change to their
+ * account. A wrong guess here counts the same as a wrong guess at the login
+ * prompt. Failures are sent from here, and a login prompt if the account is gone.
+ */
+function checkCurrentPassword(req, res, site, username, password, callback) {
+	const user = credentialStores[site.pathToUserCredentials][username];
+	if (!user) {
+		log.warning(log.tag('Auth'), `No account for logged in user. Username: ${username}`);
+		return sendLoginPrompt(req, res);
+	}
+	const wait = lockout.check(req, site, username);
+	if (wait) return errors.send(req, res, 429, 'Too many failed attempts. Try again later.', { 'Retry-After': wait });
+
+	getPasswordHash(user.salt, password, (err, currentHash) => {
 		if (err) {
 			log.error(log.tag('Auth'), err);
-			res.writeHead(500);
-			res.end();
-			return;
+			return errors.send(req, res, 500);
 		}
-		let user = authorized_credentials[username] ?? invalid_names[username];
-		if (user.pwHash.trim() == pwHash.toString('base64') && !user.locked) {
-			callback();
-		} else {
-			user.loginAttempts++;
-			log.warning(log.tag('Auth'), `Unauthorized: Wrong Password. Username: ${username} attempt #${user.loginAttempts}`);
-			if (user.loginAttempts > 3) {
-				log.warning(log.tag('Auth'), `Account Locked (${username}). Too many failed login attempts.`);
-				user.locked = true;
-			}
-			sendLoginPrompt(res);
+		if (user.pwHash.trim() != currentHash.toString('base64')) {
+			log.warning(log.tag('Auth'), `Wrong current password. Username: ${username}`);
+			audit.record(req, 'login-failure', username, { reason: 'Wrong current password' });
+			lockout.recordFailure(req, site, username);
+			return errors.send(req, res, 403, 'Current password is incorrect');
 		}
+		callback();
 	});
 }
 
-function sendLoginPrompt(res) {
-	res.setHeader('WWW-Authenticate', 'Basic realm="log in please"');
-	res.writeHead(401);
-	res.end("Access Denied");
+/**
+ * Ask for credentials. With the login form turned on, browsers are sent to the
+ * form instead of getting the Basic login prompt.
+ */
+function sendLoginPrompt(req, res) {
+	if (config.sessions && !req.headers.authorization && req.method == 'GET' && req.headers.accept?.includes('text/html')) {
+		res.writeHead(303, { Location: `/login?return=${encodeURIComponent(req.url)}` });
+		res.end();
+		return;
+	}
+	errors.send(req, res, 401, "Access Denied", { 'WWW-Authenticate': 'Basic realm="log in please"' });
+}
+
+/**
+ * The user logged in with the login form, if their account is still usable.
+ */
+function getSessionUser(req) {
+	const site = getSite(req);
+	const name = session.getUser(req, site);
+	const user = name && credentialStores[site.pathToUserCredentials]?.[name];
+	return user && !user.locked ? name : null;
 }
 
+/**
+ * The owner of the request's API token, if their account is still usable. The
+ * token's scope is checked against the request's path or the given one.
+ */
+function getTokenUser(req, pathname) {
+	const site = getSite(req);
+	const name = tokens.getUser(req, site, pathname);
+	const user = name && credentialStores[site.pathToUserCredentials]?.[name];
+	return user && !user.locked ? name : null;
+}
+
+const isBearer = (req) => /^bearer /i.test(req.headers.authorization ?? '');
+
 function getPasswordHash(salt, password, callback) {
 	pbkdf2(password, salt, 10000, 64, 'sha512', callback);
 }
 
 /**
- * Get current user name from auth headers.
+ * Get current user name from auth headers (Basic or an API token) or the login
+ * form's session.
  *
  * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
  *
@@ -343,23 +1433,9 @@ function getPasswordHash(salt, password, callback) {
  */
 function getUserName (req) {
 	const auth = req.headers.authorization;
+	if (!auth) return getSessionUser(req) ?? undefined;
+	if (isBearer(req)) return getTokenUser(req) ?? undefined;
 	const parts = auth && auth.split(' ');
 	const credentials = parts && parts.length > 1 && Buffer.from(parts[1], 'base64').toString('ascii').split(':');
 	return credentials && credentials[0];
 }
-
-/**
- * Sends the given message one character at a time with a 1-5 second delay
- * between each character.
- *
- * @param {string} message
- * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
- */
-function stallSend(message, res) {
-	if (message.length > 0) {
-		res.write(message[0]);
-		setTimeout(() => stallSend(message.substring(1), res), Math.floor(Math.random() * (5000)) + 1000)
-	} else {
-		res.end();
-	}
-}
@@ -0,0 +1,103 @@
+/**
+ * This module reads request bodies: URL encoded forms, JSON and multipart forms
+ * (see multipart.js). Bodies are limited in size. Anything wrong with a body is
+ * passed back as an error with the statusCode to respond with (400 for a
+ * malformed body, 413 for one that is too large and 415 for an unsupported
+ * Content-Type).
+ *
+ * Plugins get read in their init arguments and as readBody in the helpers
+ * passed to each action (see route.js).
+ */
+
+const path = require('path');
+const { parse } = require('querystring');
+
+const multipart = require(path.join(__dirname, 'multipart.js'));
+
+const defaultMaxSize = 64 * 1024;
+const defaultMaxFileSize = 1024 * 1024;
+const defaultMaxFiles = 10;
+
+/**
+ * Read the whole body into memory.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {number} maxSize            In bytes
+ * @param {function} callback         (err, buffer) err has a statusCode if the body was rejected
+ */
+module.exports.readRaw = (req, maxSize, callback) => {
+	if (Number(req.headers['content-length']) > maxSize) {
+		// Throw away the body so that the response can still be sent.
+		req.resume();
+		return callback(rejected(413, 'Request body too large'));
+	}
+	const body = [];
+	let size = 0;
+	req.on('data', (chunk) => {
+		size += chunk.length;
+		if (size <= maxSize) body.push(chunk);
+	}).on('end', () => {
+		if (size > maxSize) return callback(rejected(413, 'Request body too large'));
+		callback(null, Buffer.concat(body));
+	}).on('error', callback);
+};
+
+/**
+ * Read and parse a request body based on its Content-Type.
+ *
+ *   application/x-www-form-urlencoded  An object of fields
+ *   application/json (or +json)        The parsed value
+ *   multipart/form-data                An object of fields and a list of files {field, filename, contentType, data}
+ *
+ * A request without a body gets an empty object.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {object?} options           {maxSize, maxFileSize, maxFiles, onFile}
+ *                                    maxSize (64 KB) limits the body, or the fields of a multipart form.
+ *                                    Multipart files are kept in memory, each up to maxFileSize (1 MB).
+ *                                    Pass onFile (see multipart.js) to stream them somewhere instead.
+ * @param {function} callback         (err, data, files) err has a statusCode if the body was rejected
+ */
+module.exports.read = (req, options, callback) => {
+	if (typeof options == 'function') {
+		callback = options;
+		options = {};
+	}
+	const { maxSize = defaultMaxSize, maxFileSize = defaultMaxFileSize, maxFiles = defaultMaxFiles, onFile } = options ?? {};
+	const contentType = (req.headers['content-type'] ?? '').split(';')[0].trim().toLowerCase();
+
+	if (contentType == 'multipart/form-data') {
+		const files = [];
+		const keepFile = (file, stream, done) => {
+			const chunks = [];
+			stream.on('data', (chunk) => chunks.push(chunk)).on('error', done).on('end', () => {
+				files.push(Object.assign({ data: Buffer.concat(chunks) }, file));
+				done();
+			});
+		};
+		multipart.parse(req, { maxFileSize, maxFieldSize: maxSize, maxFieldsSize: maxSize, maxFiles }, onFile ?? keepFile, (err, fields) => {
+			callback(err, fields, err ? undefined : files);
+		});
+		return;
+	}
+
+	module.exports.readRaw(req, maxSize, (err, buffer) => {
+		if (err) return callback(err);
+		if (buffer.length == 0) return callback(null, {}, []);
+		if (contentType == 'application/x-www-form-urlencoded') return callback(null, parse(buffer.toString()), []);
+		if (contentType == 'application/json' || contentType.endsWith('+json')) {
+			let data;
+			try {
+				data = JSON.parse(buffer.toString());
+			} catch (err) {
+				return callback(rejected(400, `Invalid JSON: ${err.message}`));
+			}
+			return callback(null, data, []);
+		}
+		callback(rejected(415, `Unsupported Content-Type ${JSON.stringify(contentType)}`));
+	});
+};
+
+function rejected(statusCode, message) {
+	return Object.assign(new Error(message), { statusCode });
+}
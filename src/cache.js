@@ -0,0 +1,324 @@
+/**
+ * This module keeps recently used file stats, small file content, parsed
+ * .authorized_users lists and .access policies in memory to avoid going back to
+ * the disk for every request.
+ *
+ * Only paths under a site's content root are cached. Those directories are
+ * watched and any change under them drops the affected entries so the next request goes back
+ * to the disk.
+ *
+ * Set "cacheSize" to 0 in administration/config.json to turn this off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const log = require(path.join(__dirname, 'log.js'));
+const config = require(path.join(__dirname, 'config.js'));
+
+// Stats, .authorized_users lists and .access policies are small so they are limited by count instead of size.
+const maxEntries = 10000;
+
+/**
+ * Create a least-recently-used cache. A Map iterates in insertion order so
+ * re-inserting an entry on every read keeps the oldest entry first.
+ *
+ * @param {number} limit      Maximum total size of all entries
+ * @param {function} sizeOf   Size of a single entry. Defaults to 1 (limit by count).
+ */
+function createCache(limit, sizeOf = () => 1) {
+	const entries = new Map();
+	let size = 0;
+
+	const cache = {
+		hits: 0,
+		misses: 0,
+		get: (key) => {
+			if (!entries.has(key)) {
+				cache.misses++;
+				return undefined;
+			}
+			cache.hits++;
+			const value = entries.get(key);
+			entries.delete(key);
+			entries.set(key, value);
+			return value;
+		},
+		set: (key, value) => {
+			cache.delete(key);
+			if (sizeOf(value) > limit) return;
+			entries.set(key, value);
+			size += sizeOf(value);
+			for (const [oldestKey] of entries) {
+				if (size <= limit) break;
+				cache.delete(oldestKey);
+			}
+		},
+		delete: (key) => {
+			if (!entries.has(key)) return;
+			size -= sizeOf(entries.get(key));
+			entries.delete(key);
+		},
+		// Drop the entry for the given path and everything under it.
+		deleteTree: (absolutePath) => {
+			cache.delete(absolutePath);
+			for (const key of entries.keys()) {
+				if (key.startsWith(absolutePath + path.sep)) cache.delete(key);
+			}
+		},
+		clear: () => {
+			entries.clear();
+			size = 0;
+		},
+		get count() { return entries.size; },
+		get size() { return size; },
+	};
+	return cache;
+}
+module.exports.createCache = createCache;
+
+const enabled = config.cacheSize > 0;
+const stats = createCache(maxEntries);
+const realPaths = createCache(maxEntries);
+const content = createCache(config.cacheSize, entry => entry.data.length);
+const authorizedUsers = createCache(maxEntries);
+const accessPolicies = createCache(maxEntries);
+const watchedRoots = [];
+
+/**
+ * Only paths under a watched directory are cached. Anything else would never
+ * be invalidated.
+ */
+function isCacheable(absolutePath) {
+	return enabled && watchedRoots.some(root => absolutePath.startsWith(root + path.sep) || absolutePath === root);
+}
+
+/**
+ * Drop everything cached for a path that changed. Adding, removing or renaming
+ * a file also changes its parent directory.
+ */
+function invalidate(absolutePath) {
+	stats.deleteTree(absolutePath);
+	realPaths.deleteTree(absolutePath);
+	content.deleteTree(absolutePath);
+	authorizedUsers.deleteTree(absolutePath);
+	accessPolicies.deleteTree(absolutePath);
+
+	stats.delete(path.dirname(absolutePath));
+	if (path.basename(absolutePath) === '.authorized_users') authorizedUsers.delete(path.dirname(absolutePath));
+	if (path.basename(absolutePath) === '.access') accessPolicies.delete(path.dirname(absolutePath));
+}
+
+/**
+ * Watch a directory tree for changes.
+ *
+ * Recursive watching is not available on every platform (or Node version) so
+ * fall back to watching each directory in the tree individually.
+ *
+ * @param {string} root Absolute path to the directory to watch
+ */
+function watch(root) {
+	if (!enabled) return;
+
+	const onChange = (dir) => (_eventType, filename) => {
+		if (!filename) {
+			// Some platforms don't say what changed.
+			stats.clear();
+			realPaths.clear();
+			content.clear();
+			authorizedUsers.clear();
+			accessPolicies.clear();
+			return;
+		}
+		invalidate(path.join(dir, filename.toString()));
+	};
+
+	try {
+		fs.watch(root, { recursive: true, persistent: false }, onChange(root)).on('error', onWatchError);
+	} catch (err) {
+		// A missing content directory has nothing to cache. Don't turn caching off for the other sites.
+		if (err.code == 'ENOENT') return log.warning(log.tags('Cache'), `Not watching missing directory ${root}`);
+		if (err.code != 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') return onWatchError(err);
+		const watchTree = (dir) => {
+			try {
+				fs.watch(dir, { persistent: false }, (eventType, filename) => {
+					onChange(dir)(eventType, filename);
+					// Start watching new sub-directories as they are added.
+					if (filename && eventType == 'rename') fs.lstat(path.join(dir, filename.toString()), (err, s) => !err && s.isDirectory() && watchTree(path.join(dir, filename.toString())));
+				}).on('error', () => {});
+				fs.readdirSync(dir, { withFileTypes: true }).filter(node => node.isDirectory()).forEach(node => watchTree(path.join(dir, node.name)));
+			} catch (err) {
+				log.warning(log.tags('Cache'), `Unable to watch ${dir}: ${err.message}`);
+			}
+		};
+		watchTree(root);
+	}
+	watchedRoots.push(root);
+}
+
+function onWatchError(err) {
+	// Without change notifications, cached entries could go stale.
+	log.warning(log.tags('Cache'), `File watching failed. Caching disabled. ${err.message}`);
+	watchedRoots.length = 0;
+	stats.clear();
+	realPaths.clear();
+	content.clear();
+	authorizedUsers.clear();
+	accessPolicies.clear();
+}
+
+/**
+ * Drop-in replacement for fs.lstat.
+ *
+ * Missing files are cached too so that repeated checks for files that don't
+ * exist (like precompressed copies) don't go to the disk.
+ *
+ * @param {string} absolutePath
+ * @param {function} callback    (err, stats)
+ */
+module.exports.lstat = (absolutePath, callback) => {
+	if (!isCacheable(absolutePath)) return fs.lstat(absolutePath, callback);
+
+	const cached = stats.get(absolutePath);
+	if (cached) return process.nextTick(callback, cached.err, cached.stats);
+
+	fs.lstat(absolutePath, (err, result) => {
+		if (!err || err.code == 'ENOENT') stats.set(absolutePath, { err, stats: result });
+		callback(err, result);
+	});
+};
+
+/**
+ * Drop-in replacement for fs.realpath.
+ *
+ * @param {string} absolutePath
+ * @param {function} callback    (err, resolvedPath)
+ */
+module.exports.realpath = (absolutePath, callback) => {
+	if (!isCacheable(absolutePath)) return fs.realpath(absolutePath, callback);
+
+	const cached = realPaths.get(absolutePath);
+	if (cached) return process.nextTick(callback, null, cached);
+
+	fs.realpath(absolutePath, (err, resolvedPath) => {
+		if (!err) realPaths.set(absolutePath, resolvedPath);
+		callback(err, resolvedPath);
+	});
+};
+
+/**
+ * Replacement for fs.readFile. Files no larger than "cacheMaxFileSize" are kept
+ * in memory.
+ *
+ * @param {string} absolutePath
+ * @param {fs.Stats} fileStats   Current stats of the file. Cached content from a different version is not used.
+ * @param {function} callback    (err, data)
+ */
+module.exports.readFile = (absolutePath, fileStats, callback) => {
+	if (!isCacheable(absolutePath) || fileStats.size > config.cacheMaxFileSize) {
+		return fs.readFile(absolutePath, callback);
+	}
+
+	const cached = content.get(absolutePath);
+	if (cached && cached.mtimeMs === fileStats.mtimeMs && cached.data.length === fileStats.size) {
+		return process.nextTick(callback, null, cached.data);
+	}
+
+	fs.readFile(absolutePath, (err, data) => {
+		if (err) return callback(err);
+		content.set(absolutePath, { data, mtimeMs: fileStats.mtimeMs });
+		callback(null, data);
+	});
+};
+
+/**
+ * Replacement for fs.createReadStream. Small files are read in full once and
+ * kept in memory (see readFile). Larger files always stream from the disk.
+ *
+ * @param {string} absolutePath
+ * @param {fs.Stats} fileStats   Current stats of the file
+ * @param {object} options       {start, end} Inclusive byte offsets
+ * @return {stream.Readable}
+ */
+module.exports.createReadStream = (absolutePath, fileStats, { start = 0, end = fileStats.size - 1 } = {}) => {
+	if (!isCacheable(absolutePath) || fileStats.size > config.cacheMaxFileSize) {
+		return fs.createReadStream(absolutePath, { start, end });
+	}
+
+	const output = new PassThrough();
+	module.exports.readFile(absolutePath, fileStats, (err, data) => {
+		if (err) return output.destroy(err);
+		output.end(data.subarray(start, end + 1));
+	});
+	return output;
+};
+
+/**
+ * Read and parse the .authorized_users file in the given directory.
+ *
+ * @param {string} dir         Absolute path to a directory
+ * @param {function} callback  (err, names) names is null if there is no .authorized_users file
+ */
+module.exports.readAuthorizedUsers = (dir, callback) => {
+	const cacheable = isCacheable(dir);
+	const cached = cacheable ? authorizedUsers.get(dir) : undefined;
+	if (cached !== undefined) return process.nextTick(callback, null, cached);
+
+	fs.readFile(path.join(dir, '.authorized_users'), (err, data) => {
+		if (err && err.code != 'ENOENT') return callback(err);
+		const names = err ? null : data.toString().split(/\r?\n/).map(name => name.trim()).filter(name => name);
+		if (cacheable) authorizedUsers.set(dir, names);
+		callback(null, names);
+	});
+};
+
+/**
+ * Read and parse the .access policy file in the given directory.
+ *
+ * @param {string} dir         Absolute path to a directory
+ * @param {function} callback  (err, policy) policy is null if there is no .access file
+ */
+module.exports.readAccessPolicy = (dir, callback) => {
+	const cacheable = isCacheable(dir);
+	const cached = cacheable ? accessPolicies.get(dir) : undefined;
+	if (cached !== undefined) return process.nextTick(callback, null, cached);
+
+	fs.readFile(path.join(dir, '.access'), (err, data) => {
+		if (err && err.code != 'ENOENT') return callback(err);
+		let policy = null;
+		try {
+			policy = err ? null : JSON.parse(data.toString());
+		} catch (err) {
+			return callback(new Error(`Unable to parse ${path.join(dir, '.access')}: ${err.message}`));
+		}
+		if (cacheable) accessPolicies.set(dir, policy);
+		callback(null, policy);
+	});
+};
+
+/**
+ * Hit and miss counts for the status page.
+ *
+ * @return {object[]}
+ */
+module.exports.counters = () => [
+	{ name: 'Stats', cache: stats },
+	{ name: 'Files', cache: content },
+	{ name: 'Authorized users', cache: authorizedUsers },
+	{ name: 'Access policies', cache: accessPolicies },
+].map(({ name, cache }) => ({ name, hits: cache.hits, misses: cache.misses, count: cache.count, size: cache.size }));
+
+/**
+ * Start watching any site content directories that aren't watched yet. Sites
+ * may share a content directory. Watching it once is enough.
+ *
+ * This runs again when the config is reloaded to pick up new sites.
+ */
+module.exports.reload = () => {
+	new Set(config.allSites().map(site => site.wwwRoot)).forEach(root => {
+		if (!watchedRoots.includes(root)) watch(root);
+	});
+};
+
+module.exports.reload();
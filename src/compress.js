@@ -0,0 +1,155 @@
+/**
+ * This module handles response compression.
+ *
+ * It picks an encoding from the request's Accept-Encoding header and
+ * compresses response content with Node's built-in zlib. Static files may also
+ * have precompressed copies next to them (style.css.br, style.css.gz) which
+ * are sent as-is instead of compressing the file again for every request.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+
+const log = require(path.join(__dirname, 'log.js'));
+const cache = require(path.join(__dirname, 'cache.js'));
+const config = require(path.join(__dirname, 'config.js'));
+
+// Supported encodings in order of preference with the file extension used by
+// their precompressed copies.
+const encodings = {
+	br: '.br',
+	gzip: '.gz',
+	deflate: null
+};
+
+// Compressing tiny responses costs more than it saves.
+const minimumSize = 1024;
+
+// Brotli's default quality (11) is too slow to use on every request.
+const brotliOptions = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } };
+
+/**
+ * Whether content of this MIME type is worth compressing. Images, audio,
+ * video and archives are already compressed.
+ *
+ * @param {string?} mimeType
+ * @return {boolean}
+ */
+module.exports.isCompressible = (mimeType) => Boolean(mimeType) && /^(text\/|application\/(json|javascript|xml)|image\/svg\+xml)|\+(json|xml)\b/.test(mimeType);
+
+/**
+ * List the supported encodings that the client accepts, best first. Encodings
+ * are ordered by the client's q-values then by server preference.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @return {string[]}
+ */
+module.exports.acceptedEncodings = (req) => {
+	if (!config.compression) return [];
+
+	const weights = (req.headers['accept-encoding'] ?? '').split(',').reduce((acc, item) => {
+		const [name, ...params] = item.trim().toLowerCase().split(';').map(part => part.trim());
+		const q = params.find(param => param.startsWith('q='));
+		if (name) acc[name] = q ? Number(q.substring(2)) || 0 : 1;
+		return acc;
+	}, {});
+
+	const weight = encoding => weights[encoding] ?? weights['*'] ?? 0;
+	const preference = Object.keys(encodings);
+	return preference
+		.filter(encoding => weight(encoding) > 0)
+		.sort((a, b) => (weight(b) - weight(a)) || (preference.indexOf(a) - preference.indexOf(b)));
+};
+
+/**
+ * Look for a precompressed copy of the given file in an encoding the client
+ * accepts. Copies older than the file itself are considered stale and ignored.
+ *
+ * The callback is passed {encoding, path, stats} for the best copy found or
+ * null if there isn't one.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {string} absoluteSystemPath  Path to the uncompressed file
+ * @param {fs.Stats} stats             Stats of the uncompressed file
+ * @param {function} callback
+ */
+module.exports.findPrecompressed = (req, absoluteSystemPath, stats, callback) => {
+	const candidates = module.exports.acceptedEncodings(req).filter(encoding => encodings[encoding]);
+
+	const next = () => {
+		const encoding = candidates.shift();
+		if (!encoding) return callback(null);
+
+		const sidecarPath = absoluteSystemPath + encodings[encoding];
+		cache.lstat(sidecarPath, (err, sidecarStats) => {
+			if (err || !sidecarStats.isFile() || sidecarStats.mtimeMs < stats.mtimeMs) return next();
+			callback({ encoding, path: sidecarPath, stats: sidecarStats });
+		});
+	};
+	next();
+};
+
+/**
+ * Create a transform stream that compresses with the given encoding.
+ *
+ * @param {string} encoding One of the names returned by acceptedEncodings
+ * @return {stream.Transform}
+ */
+module.exports.createStream = (encoding) => {
+	switch (encoding) {
+		case 'br': return zlib.createBrotliCompress(brotliOptions);
+		case 'gzip': return zlib.createGzip();
+		case 'deflate': return zlib.createDeflate();
+	}
+};
+
+/**
+ * Pick the encoding to use for a response of the given type and size or null
+ * if it should be sent uncompressed.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {string?} mimeType
+ * @param {number} size               Uncompressed size in bytes
+ * @return {string?}
+ */
+module.exports.negotiate = (req, mimeType, size) => {
+	if (!module.exports.isCompressible(mimeType) || size < minimumSize) return null;
+	return module.exports.acceptedEncodings(req)[0] ?? null;
+};
+
+/**
+ * Send generated content (a rendered page rather than a file) through the
+ * given response, compressed if the client accepts it. Content-Length, Vary and
+ * Content-Encoding are set here.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {number} statusCode
+ * @param {object} headers             Response headers. Should include Content-Type.
+ * @param {string|Buffer} body
+ */
+module.exports.send = (req, res, statusCode, headers, body) => {
+	body = Buffer.from(body);
+	const mimeType = headers["Content-Type"];
+	const encoding = module.exports.negotiate(req, mimeType, body.length);
+
+	if (module.exports.isCompressible(mimeType)) headers["Vary"] = "Accept-Encoding";
+
+	const finish = (content) => {
+		headers["Content-Length"] = content.length;
+		res.writeHead(statusCode, headers);
+		res.end(req.method == 'HEAD' ? undefined : content);
+	};
+
+	if (!encoding) return finish(body);
+
+	const compressor = { br: (b, cb) => zlib.brotliCompress(b, brotliOptions, cb), gzip: zlib.gzip, deflate: zlib.deflate }[encoding];
+	compressor(body, (err, compressed) => {
+		if (err) {
+			log.error(log.tags('Compress'), err.message);
+			return finish(body);
+		}
+		headers["Content-Encoding"] = encoding;
+		finish(compressed);
+	});
+};
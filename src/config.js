@@ -1,66 +1,260 @@
 /**
  * This module groups all configuration defaults in one place and handles
  * overriding defaults with values from the optional administration/config.json
+ *
+ * The config file can be reloaded while the server is running (see reload
+ * below). Other modules should read settings from this module when they use
+ * them rather than keeping their own copy so that they pick up changes.
+ * Ports, HTTPS certificates and "cacheSize" only take effect on restart.
  */
 
+const fs = require('fs');
 const path = require('path');
 const log = require(path.join(__dirname, 'log.js'));
-let config = null;
-try {
-	config = require(path.join(__dirname, '..', 'administration', 'config.json'));
-	log.info(log.tags("Startup", "Config"), "Config load success");
-} catch (err) {
-	if(err.code=="MODULE_NOT_FOUND") log.info(log.tags("Startup", "Config"), "No config file");
-	else log.error(log.tags("Startup", "Config"), err.message);
+
+module.exports.configPath = path.join(__dirname, '..', 'administration', 'config.json');
+
+/**
+ * Read and parse the config file.
+ *
+ * @return {object?} The parsed config or null if there is no config file
+ * @throws If the file can't be read or isn't valid JSON
+ */
+function read() {
+	try {
+		return JSON.parse(fs.readFileSync(module.exports.configPath, 'utf8'));
+	} catch (err) {
+		if (err.code == 'ENOENT') return null;
+		throw err;
+	}
 }
 
-// Port to listen for HTTP requests
-module.exports.httpPort = config?.httpPort ?? 80;
+/**
+ * Set every setting from the given config (or its default). This runs
+ * synchronously so requests never see a mix of old and new settings.
+ *
+ * @param {object?} config Parsed administration/config.json
+ */
+function apply(config) {
+	// Port to listen for HTTP requests
+	module.exports.httpPort = config?.httpPort ?? 80;
+
+	// Whether the site uses HTTP or HTTPS (with HTTP redirect)
+	module.exports.useHttps = config?.useHttps ?? false;
 
-// Whether the site uses HTTP or HTTPS (with HTTP redirect)
-module.exports.useHttps = config?.useHttps ?? false;
+	// Paths to key & cert files
+	module.exports.serverPrivateKeyPath = config?.serverPrivateKeyPath ?? path.join(__dirname, '..', 'administration', 'key.pem');
+	module.exports.serverCertificatePath = config?.serverCertificatePath ?? path.join(__dirname, '..', 'administration', 'certificate.pem');
 
-// Paths to key & cert files
-module.exports.serverPrivateKeyPath = config?.serverPrivateKeyPath ?? path.join(__dirname, '..', 'administration', 'key.pem');
-module.exports.serverCertificatePath = config?.serverCertificatePath ?? path.join(__dirname, '..', 'administration', 'certificate.pem');
+	// Port to listen for HTTPS requests
+	module.exports.httpsPort = config?.httpsPort ?? 443;
 
-// Port to listen for HTTPS requests
-module.exports.httpsPort = config?.httpsPort ?? 443;
+	// Never set this to true it's a bad setting. It's just for a poorly designed dev thing.
+	module.exports.ignoreSecurity = config?.ignoreSecurity ?? false;
 
-// Never set this to true it's a bad setting. It's just for a poorly designed dev thing.
-module.exports.ignoreSecurity = config?.ignoreSecurity ?? false;
+	// Path to temporary log duplicates file
+	module.exports.dailyLogFile =  path.join(__dirname, '..', 'administration', 'dailies.log');
 
-// Path to temporary log duplicates file
-module.exports.dailyLogFile =  path.join(__dirname, '..', 'administration', 'dailies.log');
+	// Specific index files to handle root requests by Domain.
+	/**
+	 * {
+	 * 	"Domain": "index_file.html"
+	 * }
+	 */
+	module.exports.indices = config?.indices ?? {};
 
-// Specific index files to handle root requests by Domain.
-/**
- * {
- * 	"Domain": "index_file.html"
- * }
- */
-module.exports.indices = config?.indices ?? {};
+	// Default order of generated directory listings. Sort by "name", "size", "mtime" or "type" in "asc" or "desc" order.
+	// Visitors can change this with query parameters (?sort=mtime&order=desc)
+	module.exports.directoryListingSort = config?.directoryListingSort ?? 'name';
+	module.exports.directoryListingOrder = config?.directoryListingOrder ?? 'asc';
+
+	// Files that are never listed or served. Requests for them get a 404 as if they did not exist.
+	// Glob patterns ("*" and "?") are matched against each part of the requested path so
+	// everything inside a hidden directory is hidden too. Patterns starting with "!" are exceptions.
+	// ".well-known" (RFC 8615) is served by default so that Let's Encrypt (ACME HTTP-01) challenges
+	// and other well-known URLs work. Files starting with a dot inside of it are still hidden.
+	module.exports.denyList = config?.denyList ?? ['.*', '!.well-known', '*~', '*.bak', '*.swp'];
+
+	// URL path to serve the content directory over WebDAV at ("/dav"), for mounting
+	// it as a network drive. false turns WebDAV off. See webdav.js.
+	module.exports.webdav = config?.webdav ?? false;
+
+	// Largest file (in bytes) that may be uploaded. Uploading needs a "write" rule
+	// in an .access file (see upload.js).
+	module.exports.maxUploadSize = config?.maxUploadSize ?? 100 * 1024 * 1024;
+
+	// Whether symbolic links in the content directory may point outside of it.
+	module.exports.allowExternalSymlinks = config?.allowExternalSymlinks ?? false;
+
+	// Redirects and rewrites. Each is a list of rules checked in order. The first match wins.
+	/**
+	 * "redirects": [
+	 * 	{ "from": "/map", "to": "/map.html" },
+	 * 	{ "from": "/photos/:year", "to": "/pictures/:year", "status": 301 },
+	 * 	{ "from": "/old-blog", "to": "https://blog.example.com", "match": "prefix", "status": 308, "host": "example.com" }
+	 * ],
+	 * "rewrites": [
+	 * 	{ "from": "/latest", "to": "/posts/2024/summer.md" }
+	 * ]
+	 *
+	 * "status" is 301, 302 (default), 307 or 308. See matchRule in route.js for details.
+	 */
+	module.exports.redirects = config?.redirects ?? [];
+	module.exports.rewrites = config?.rewrites ?? [];
+
+	// Path to the statically hosted directory
+	module.exports.wwwRoot = config?.wwwRoot ?? path.join(__dirname, '..', 'content');
+
+	// Whether to compress responses (gzip, deflate, brotli) for clients that accept it.
+	// Precompressed copies of static files of compressible types (style.css.br, style.css.gz) are used when present.
+	module.exports.compression = config?.compression ?? true;
+
+	// Memory (in bytes) to use for caching small, frequently requested files. 0 disables caching.
+	module.exports.cacheSize = config?.cacheSize ?? 32 * 1024 * 1024;
+
+	// Files larger than this (in bytes) are always read from the disk.
+	module.exports.cacheMaxFileSize = config?.cacheMaxFileSize ?? 256 * 1024;
+
+	// Path to custom server-side javascript modules
+	module.exports.pluginRoot = config?.pluginRoot ?? path.join(__dirname, '..', 'plugins');
+
+	// Paths to account and account request data
+	module.exports.pathToUserCredentials = config?.pathToUserCredentials ?? path.join(__dirname, '..', 'administration', 'user_credentials.txt');
+	module.exports.pathToUserAccountRequests = config?.pathToUserAccountRequests ?? path.join(__dirname, '..', 'administration', 'account_creation_requests.txt');
 
-// Path to the statically hosted directory
-module.exports.wwwRoot = config?.wwwRoot ?? path.join(__dirname, '..', 'content');
+	// Path to user groups (see groups.js)
+	module.exports.pathToGroups = config?.pathToGroups ?? path.join(__dirname, '..', 'administration', 'groups.txt');
 
-// Path to custom server-side javascript modules
-module.exports.pluginRoot = config?.pluginRoot ?? path.join(__dirname, '..', 'plugins');
+	// Whether to offer a login form (/login and /logout) with cookie sessions as
+	// an alternative to the browser's HTTP Basic login prompt.
+	module.exports.sessions = config?.sessions ?? false;
 
-// Paths to account and account request data
-module.exports.pathToUserCredentials = config?.pathToUserCredentials ?? path.join(__dirname, '..', 'administration', 'user_credentials.txt');
-module.exports.pathToUserAccountRequests = config?.pathToUserAccountRequests ?? path.join(__dirname, '..', 'administration', 'account_creation_requests.txt');
+	// How long (in seconds) a session lasts. "Remember me" sessions also survive closing the browser.
+	module.exports.sessionLifetime = config?.sessionLifetime ?? 12 * 60 * 60;
+	module.exports.rememberedSessionLifetime = config?.rememberedSessionLifetime ?? 30 * 24 * 60 * 60;
 
-// Part of crude brute-force countermeasures. If the total number of real user
-// accounts and random-guess user accounts is greater than this number, then any
-// login attempt for a new unknown user will return a 500.
-// Tracking random guess usernames allows them to be treated and locked the same
-// as real accounts.
-module.exports.totalUsernameLimit = config?.totalUsernameLimit ?? 200;
+	// Where the session signing secret and current sessions are saved.
+	module.exports.pathToSessionSecret = config?.pathToSessionSecret ?? path.join(__dirname, '..', 'administration', 'session_secret');
+	module.exports.pathToSessions = config?.pathToSessions ?? path.join(__dirname, '..', 'administration', 'sessions.json');
 
-// Experimental
-module.exports.clusterNodes = config?.clusterNodes ?? [];
+	// Where the security audit log (see audit.js) is kept and for how many days. 0 keeps it forever.
+	module.exports.auditLogDirectory = config?.auditLogDirectory ?? path.join(__dirname, '..', 'administration', 'audit');
+	module.exports.auditLogRetention = config?.auditLogRetention ?? 90;
 
-// placeholder for arbitrary configuration
-module.exports.custom = config?.custom;
+	// Where (hashes of) personal API tokens are saved. See tokens.js.
+	module.exports.pathToApiTokens = config?.pathToApiTokens ?? path.join(__dirname, '..', 'administration', 'api_tokens.json');
 
+	// Whether any URL with "private" in its path requires logging in. This is the
+	// original blanket privacy check. It is easy to get wrong (a typo "fails open"
+	// and "privateer.jpg" needs a login) so sites using .access files may turn it off.
+	module.exports.privateUrls = config?.privateUrls ?? true;
+
+	// Whether static files without an access rule (see "Access Policies" in the
+	// README) are denied instead of public.
+	module.exports.strictAccess = config?.strictAccess ?? false;
+
+	// Users who may use the admin console (/private/admin) to approve account
+	// requests and manage users.
+	module.exports.admins = config?.admins ?? [];
+
+	// Brute-force countermeasures (see lockout.js). After this many failed logins
+	// for one account from one address (or from one address for any accounts),
+	// logins are refused for "lockoutDuration" seconds. Each further failure
+	// doubles that, up to "maxLockoutDuration". Failures are forgotten
+	// "lockoutResetTime" seconds after the last one.
+	module.exports.lockoutThreshold = config?.lockoutThreshold ?? 5;
+	module.exports.ipLockoutThreshold = config?.ipLockoutThreshold ?? 20;
+	module.exports.lockoutDuration = config?.lockoutDuration ?? 60;
+	module.exports.maxLockoutDuration = config?.maxLockoutDuration ?? 24 * 60 * 60;
+	module.exports.lockoutResetTime = config?.lockoutResetTime ?? 24 * 60 * 60;
+
+	// Where failed login counts are saved so that lockouts survive a restart.
+	module.exports.pathToLockouts = config?.pathToLockouts ?? path.join(__dirname, '..', 'administration', 'lockouts.json');
+
+	// Virtual hosts. Each domain can have its own content, plugins, root index file,
+	// accounts and status page.
+	/**
+	 * "sites": {
+	 * 	"example.com": {
+	 * 		"wwwRoot": "/srv/example.com/content",
+	 * 		"pluginRoot": "/srv/example.com/plugins",
+	 * 		"index": "home.html",
+	 * 		"pathToUserCredentials": "/srv/example.com/user_credentials.txt",
+	 * 		"pathToUserAccountRequests": "/srv/example.com/account_creation_requests.txt",
+	 * 		"pathToGroups": "/srv/example.com/groups.txt",
+	 * 		"statusPage": false,
+	 * 		"admins": ["alice"]
+	 * 	}
+	 * }
+	 *
+	 * Settings a site leaves out are taken from the top level settings above.
+	 * Requests for any domain not listed here go to the default site, which uses
+	 * the top level settings.
+	 */
+	const createSite = (name, settings) => ({
+		name,
+		wwwRoot: settings.wwwRoot ?? module.exports.wwwRoot,
+		pluginRoot: settings.pluginRoot ?? module.exports.pluginRoot,
+		index: settings.index ?? null,
+		pathToUserCredentials: settings.pathToUserCredentials ?? module.exports.pathToUserCredentials,
+		pathToUserAccountRequests: settings.pathToUserAccountRequests ?? module.exports.pathToUserAccountRequests,
+		pathToGroups: settings.pathToGroups ?? module.exports.pathToGroups,
+		statusPage: settings.statusPage ?? true,
+		admins: settings.admins ?? module.exports.admins,
+	});
+	module.exports.defaultSite = createSite('default', {});
+	module.exports.sites = Object.keys(config?.sites ?? {}).reduce((acc, domain) => {
+		acc[domain.toLowerCase()] = createSite(domain.toLowerCase(), config.sites[domain]);
+		return acc;
+	}, {});
+
+	// Experimental
+	module.exports.clusterNodes = config?.clusterNodes ?? [];
+
+	// placeholder for arbitrary configuration
+	module.exports.custom = config?.custom;
+}
+
+let config = null;
+try {
+	config = read();
+	log.info(log.tags("Startup", "Config"), config ? "Config load success" : "No config file");
+} catch (err) {
+	log.error(log.tags("Startup", "Config"), err.message);
+}
+apply(config);
+
+/**
+ * Read administration/config.json again and replace the current settings. If
+ * the file can't be read or parsed, the current settings are kept.
+ *
+ * @return {boolean} Whether the new config was applied
+ */
+module.exports.reload = () => {
+	let config;
+	try {
+		config = read();
+	} catch (err) {
+		log.error(log.tags("Reload", "Config"), `Keeping the current config. ${err.message}`);
+		return false;
+	}
+	apply(config);
+	log.info(log.tags("Reload", "Config"), config ? "Config reloaded" : "No config file. Using defaults");
+	return true;
+};
+
+/**
+ * Find the site for a Host header (port optional). Unknown domains get the
+ * default site.
+ *
+ * @param {string?} host
+ * @return {object} Site settings
+ */
+module.exports.getSite = (host) => module.exports.sites[(host ?? '').replace(/:\d+$/, '').toLowerCase()] ?? module.exports.defaultSite;
+
+/**
+ * Every configured site including the default.
+ *
+ * @return {object[]}
+ */
+module.exports.allSites = () => [module.exports.defaultSite, ...Object.values(module.exports.sites)];
@@ -0,0 +1,103 @@
+/**
+ * This module sends error responses.
+ *
+ * Error pages are HTML files named for the status code (_404.html, _403.html,
+ * ...) found by looking in the requested path's directory then each parent
+ * directory up to the site root, the same way .authorized_users is. If there
+ * isn't one, the site root's _error.html is used for any status. Without either
+ * of those, the error is sent as plain text.
+ *
+ * Error pages are rendered as templates (see template.js) with these extra
+ * variables:
+ *
+ *   status   The status code (404)
+ *   message  A short description ("Not Found")
+ *   path     The requested path
+ *   user     The logged in user
+ */
+
+const http = require('http');
+const path = require('path');
+
+const audit = require(path.join(__dirname, 'audit.js'));
+const auth = require(path.join(__dirname, 'auth.js'));
+const cache = require(path.join(__dirname, 'cache.js'));
+const compress = require(path.join(__dirname, 'compress.js'));
+const config = require(path.join(__dirname, 'config.js'));
+const log = require(path.join(__dirname, 'log.js'));
+const template = require(path.join(__dirname, 'template.js'));
+
+/**
+ * Send an error response.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {number} statusCode
+ * @param {string?} message            Short description. Defaults to the standard reason phrase ("Not Found")
+ * @param {object?} headers            Extra response headers (like WWW-Authenticate)
+ */
+module.exports.send = (req, res, statusCode, message, headers = {}) => {
+	message = message ?? http.STATUS_CODES[statusCode] ?? 'Error';
+	// Only a user whose credentials were checked. A 403 can come before that and anyone can claim a name.
+	if (statusCode == 403) audit.record(req, 'forbidden', auth.verifiedUser(req), { message });
+	const root = (req.site ?? config.getSite(req.headers.host)).wwwRoot;
+	const requestedPath = getRequestedPath(req);
+
+	const sendText = () => {
+		res.writeHead(statusCode, Object.assign({"Content-Type": "text/plain"}, headers));
+		res.end(req.method == 'HEAD' ? undefined : `${statusCode} ${message}`);
+	};
+
+	findErrorPage(root, path.join(root, requestedPath), statusCode, (pagePath, stats) => {
+		if (!pagePath) return sendText();
+
+		cache.readFile(pagePath, stats, (err, data) => {
+			if (err) {
+				log.warning(log.tags('Error Page'), `Unable to load ${pagePath}: ${err.message}`);
+				return sendText();
+			}
+
+			const variables = { title: `${statusCode} ${message}`, status: statusCode, message, path: requestedPath };
+			template.render(req, root, pagePath, stats, data.toString(), variables, (html) => {
+				compress.send(req, res, statusCode, Object.assign({"Cache-Control": "no-cache", "Content-Type": "text/html;charset=utf-8"}, headers), html);
+			});
+		});
+	});
+};
+
+/**
+ * The decoded URL path of the request. Anything that can't be decoded or
+ * points outside of the site is treated as the site root.
+ */
+function getRequestedPath(req) {
+	try {
+		const requestedPath = path.posix.normalize(decodeURIComponent(new URL(req.url ?? '/', 'http://localhost').pathname));
+		return requestedPath.startsWith('/') ? requestedPath : '/';
+	} catch (err) {
+		return '/';
+	}
+}
+
+/**
+ * Find the closest _<statusCode>.html starting at dir and moving up to the
+ * root, then the root's _error.html. Pages in hidden directories are skipped.
+ *
+ * @param {function} callback (pagePath, stats) pagePath is null if there isn't one
+ */
+function findErrorPage(root, dir, statusCode, callback) {
+	// index.js uses this module so it can't be required before this module has loaded.
+	const index = require(path.join(__dirname, 'index.js'));
+
+	const pagePath = path.join(dir, `_${statusCode}.html`);
+	cache.lstat(pagePath, (err, stats) => {
+		if (!err && stats.isFile() && !index.isDenied(path.relative(root, pagePath))) return callback(pagePath, stats);
+
+		const relativePath = path.relative(root, dir);
+		if (relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+			return findErrorPage(root, path.dirname(dir), statusCode, callback);
+		}
+
+		const fallbackPath = path.join(root, '_error.html');
+		cache.lstat(fallbackPath, (err, stats) => callback(!err && stats.isFile() ? fallbackPath : null, stats));
+	});
+}
@@ -0,0 +1,101 @@
+/**
+ * This module loads user groups from administration/groups.txt
+ *
+ * Each line names a group and lists its members. Members are user names or
+ * other groups (with "@") whose members are included too. Lines starting with
+ * "#" are comments.
+ *
+ *   family: alice bob @kids
+ *   kids: carol dave
+ *
+ * Groups are used in .authorized_users as "@family". The file is reloaded when
+ * it changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const log = require(path.join(__dirname, 'log.js'));
+const config = require(path.join(__dirname, 'config.js'));
+
+const groupFiles = {}; // Parsed groups ({name: [members]}). Key'd on groups file path
+
+function load(pathToGroups) {
+	let text = '';
+	try {
+		text = fs.readFileSync(pathToGroups, 'utf8');
+	} catch (err) {
+		if (err.code != 'ENOENT') {
+			log.error(log.tags('Groups'), `Keeping the current groups for ${pathToGroups}. ${err.message}`);
+			return;
+		}
+	}
+
+	groupFiles[pathToGroups] = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#')).reduce((acc, line) => {
+		const separator = line.indexOf(':');
+		if (separator < 1) {
+			log.warning(log.tags('Groups'), `Ignoring malformed line in ${pathToGroups}: ${line}`);
+			return acc;
+		}
+		acc[line.substring(0, separator).trim()] = line.substring(separator + 1).trim().split(/\s+/).filter(member => member);
+		return acc;
+	}, {});
+}
+
+const watchedFiles = [];
+function watch(pathToGroups) {
+	if (watchedFiles.includes(pathToGroups)) return;
+	watchedFiles.push(pathToGroups);
+	fs.watchFile(pathToGroups, { persistent: false, interval: 2000 }, (current, previous) => {
+		if (current.mtimeMs !== previous.mtimeMs) load(pathToGroups);
+	});
+}
+
+/**
+ * Load every site's groups file again. This picks up sites added to (or changed
+ * in) the config too.
+ */
+module.exports.reload = () => {
+	new Set(config.allSites().map(site => site.pathToGroups)).forEach(pathToGroups => {
+		load(pathToGroups);
+		watch(pathToGroups);
+	});
+};
+
+/**
+ * Whether a user is in a group, directly or through a group inside of it.
+ *
+ * @param {object} site  See config.sites
+ * @param {string} user
+ * @param {string} group Group name (without "@")
+ * @return {boolean}
+ */
+module.exports.isMember = (site, user, group) => {
+	const groups = groupFiles[site.pathToGroups] ?? {};
+	const checked = new Set();
+	const check = (group) => {
+		// Groups can include each other. Don't go around in circles.
+		if (checked.has(group)) return false;
+		checked.add(group);
+		return (groups[group] ?? []).some(member => member.startsWith('@') ? check(member.substring(1)) : member === user);
+	};
+	return check(group);
+};
+
+/**
+ * Whether a logged in user matches a list of allowed users like the one in a
+ * .authorized_users file. Entries are user names, groups ("@family") or "*"
+ * for any logged in user.
+ *
+ * @param {object} site
+ * @param {string} user
+ * @param {string[]} allowed
+ * @return {boolean}
+ */
+module.exports.isAllowed = (site, user, allowed) => Boolean(user) && allowed.some(entry => {
+	if (entry === '*') return true;
+	if (entry.startsWith('@')) return module.exports.isMember(site, user, entry.substring(1));
+	return entry === user;
+});
+
+module.exports.reload();
@@ -10,25 +10,51 @@
 const fs = require('fs');
 const url = require('url');
 const path = require('path');
+const { randomBytes } = require('crypto');
 
 const auth = require(path.join(__dirname, 'auth.js'));
+const cache = require(path.join(__dirname, 'cache.js'));
+const compress = require(path.join(__dirname, 'compress.js'));
+const errors = require(path.join(__dirname, 'errors.js'));
+const respond = require(path.join(__dirname, 'respond.js'));
 const route = require(path.join(__dirname, 'route.js'));
 const log = require(path.join(__dirname, 'log.js'));
 const config = require(path.join(__dirname, 'config.js'));
+const markdown = require(path.join(__dirname, 'markdown.js'));
+const template = require(path.join(__dirname, 'template.js'));
+const upload = require(path.join(__dirname, 'upload.js'));
 
 module.exports = function(req, res, root, webPath, absoluteSystemPath) {
-	fs.lstat(absoluteSystemPath, function(err, stats) {
+	// Hidden files are reported as missing so that their existence isn't leaked.
+	if (module.exports.isDenied(webPath)) {
+		return route.sendNotFound(req, res);
+	}
+
+	// Uploads (see upload.js) go in to the requested file's directory (PUT) or the requested directory (POST).
+	if (req.method == 'PUT' || req.method == 'POST') {
+		const dir = req.method == 'PUT' ? path.dirname(absoluteSystemPath) : absoluteSystemPath;
+		return statWithinRoot(root, dir, (err, stats) => {
+			if (err || !stats.isDirectory()) {
+				return route.sendNotFound(req, res);
+			}
+			auth.authorizeWrite(req, res, root, dir, () => {
+				upload(req, res, dir, absoluteSystemPath);
+			});
+		});
+	}
+
+	statWithinRoot(root, absoluteSystemPath, function(err, stats) {
 		if (err) {
 			return route.sendNotFound(req, res);
 		}
 
 		if (stats.isFile()) {
 			auth.authorize(req, res, root, path.dirname(absoluteSystemPath), () => {
-				loadFile(req, res, stats, absoluteSystemPath);
+				loadFile(req, res, stats, root, absoluteSystemPath);
 			});
 		} else if (stats.isDirectory()) {
 			auth.authorize(req, res, root, absoluteSystemPath, () => {
-				loadDirectory(req, res, stats, webPath, absoluteSystemPath);
+				loadDirectory(req, res, stats, root, webPath, absoluteSystemPath);
 			})
 		} else {
 			return route.sendNotFound(req, res);
@@ -36,54 +62,365 @@ module.exports = function(req, res, root, webPath, absoluteSystemPath) {
 	});
 }
 
+/**
+ * Check the given web path against the configured deny list. Each part of the
+ * path is checked so anything inside a hidden directory is hidden too. Patterns
+ * starting with "!" are exceptions: parts matching them are not hidden.
+ *
+ * @param {string} webPath
+ * @return {boolean} True if the path must not be listed or served
+ */
+module.exports.isDenied = (webPath) => {
+	const toPattern = (glob) => new RegExp('^' + glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+	const patterns = config.denyList.filter(glob => !glob.startsWith('!')).map(toPattern);
+	const exceptions = config.denyList.filter(glob => glob.startsWith('!')).map(glob => toPattern(glob.substring(1)));
+	return webPath.split(/[\\/]/).some(part => part && patterns.some(pattern => pattern.test(part)) && !exceptions.some(pattern => pattern.test(part)));
+};
+
+/**
+ * @param {string} file File name or path
+ * @return {string?} The MIME type for the file's extension if it is a known type
+ */
+module.exports.getMimeType = (file) => mimeMap[path.extname(file).toLowerCase()];
+
+/**
+ * Stat the given path, following symbolic links. Unless "allowExternalSymlinks"
+ * is set, paths that resolve to somewhere outside of the root (through a link
+ * anywhere along the way) are treated as missing.
+ *
+ * @param {string} root               The absolute path to the site's base folder.
+ * @param {string} absoluteSystemPath
+ * @param {function} callback         (err, stats)
+ */
+function statWithinRoot(root, absoluteSystemPath, callback) {
+	cache.realpath(root, (err, realRoot) => {
+		if (err) return callback(err);
+		cache.realpath(absoluteSystemPath, (err, realPath) => {
+			if (err) return callback(err);
+			if (!config.allowExternalSymlinks && realPath !== realRoot && !realPath.startsWith(realRoot + path.sep)) {
+				log.warning(log.tags('Index'), `Refusing to follow ${absoluteSystemPath} outside of ${root}`);
+				return callback(Object.assign(new Error(`${absoluteSystemPath} resolves outside of ${root}`), {code: 'ENOENT'}));
+			}
+			cache.lstat(realPath, callback);
+		});
+	});
+}
+module.exports.statWithinRoot = statWithinRoot;
+
 
 /**
  * This function loads the requested file content and returns it through the
  * given Node response object.
+ *
+ * Markdown files are rendered and HTML files with template directives are
+ * processed (see template.js) first. Everything else is sent as-is.
+ */
+function loadFile(req, res, stats, root, absoluteSystemPath) {
+	// Markdown is rendered as a page unless the source is specifically requested (?raw=1)
+	const extension = path.extname(absoluteSystemPath).toLowerCase();
+	if ((extension == '.md' || extension == '.markdown') && new url.URL(req.url, 'http://localhost').searchParams.get('raw') !== '1') {
+		return loadMarkdown(req, res, stats, root, absoluteSystemPath);
+	}
+
+	if (extension == '.html' || extension == '.htm') {
+		return cache.readFile(absoluteSystemPath, stats, (err, data) => {
+			if (err || !template.hasDirectives(data)) {
+				return sendFile(req, res, stats, absoluteSystemPath);
+			}
+
+			// The output depends on the user and on other files so it is not cached.
+			template.render(req, root, absoluteSystemPath, stats, data.toString(), {}, (html) => {
+				compress.send(req, res, 200, {"Cache-Control": "no-cache", "Content-Type": "text/html;charset=utf-8"}, html);
+			});
+		});
+	}
+
+	sendFile(req, res, stats, absoluteSystemPath);
+}
+
+/**
+ * This function sends the given file's content through the given Node
+ * response object.
+ *
+ * If the client accepts compressed content, a precompressed copy of the file
+ * (foo.css.br, foo.css.gz) is sent instead when there is one and the type is
+ * compressible. Otherwise,
+ * compressible types are compressed on the fly.
  */
-function loadFile(req, res, stats, absoluteSystemPath) {
+function sendFile(req, res, stats, absoluteSystemPath) {
 	// Pre-Load checks
-	const mimeType = mimeMap[path.extname(absoluteSystemPath)?.toLowerCase() ?? 'application/octet-stream'];
-	const filename = path.basename(absoluteSystemPath);
-
-	// Basis for content length calculation
-	let rangeStart=0;
-	let rangeEnd = Math.max(0, stats.size - 1);
-
-	// "Resume Download" partial file
-	let isPartialRequest = (mimeType == 'video/mp4' || mimeType == 'audio/mpeg' || mimeType == 'audio/flac' || mimeType == 'audio/wav') && req.headers.range && req.headers.range.includes('=') && req.headers.range.includes('-');
-	if (isPartialRequest) {
-		let rangeString = req.headers.range.split('=')[1].split('-');
-		rangeStart = rangeString[0];
-		rangeEnd = rangeString[1];
-		if (rangeEnd == 'null' || rangeEnd == '') rangeEnd = stats.size-1;
-
-		if (isNaN(rangeStart) || (Number(rangeStart) > stats.size-1) || (rangeEnd != 'null' && isNaN(rangeEnd)) || (rangeEnd != 'null' && (Number(rangeEnd) > stats.size-1))) {
-			res.writeHead(416);
-			return res.end('Range Not Satisfiable');
+	const mimeType = mimeMap[path.extname(absoluteSystemPath).toLowerCase()];
+	const compressible = compress.isCompressible(mimeType);
+
+	// Only compressible types have precompressed copies. Those responses always have "Vary: Accept-Encoding" so
+	// shared caches never give a compressed copy to a client that didn't ask for it.
+	const findPrecompressed = compressible ? compress.findPrecompressed : (req, absoluteSystemPath, stats, callback) => callback(null);
+	findPrecompressed(req, absoluteSystemPath, stats, (precompressed) => {
+		// The precompressed copy is its own representation with its own validators and byte ranges.
+		const filePath = precompressed?.path ?? absoluteSystemPath;
+		const fileStats = precompressed?.stats ?? stats;
+
+		// On-the-fly compression has no stable byte offsets so range requests are always sent uncompressed.
+		const dynamicEncoding = !precompressed && !req.headers.range ? compress.negotiate(req, mimeType, stats.size) : null;
+
+		// Validators for conditional requests
+		const entityTag = getEntityTag(fileStats, dynamicEncoding);
+		const lastModified = fileStats.mtime.toUTCString();
+
+		// Set response headers
+		const responseHeader = {
+			"Accept-Ranges": "bytes",
+			"Cache-Control": "max-age=72000",
+			"ETag": entityTag,
+			"Last-Modified": lastModified
+		};
+		if (compressible) responseHeader["Vary"] = "Accept-Encoding";
+
+		if (isPreconditionFailed(req, entityTag, fileStats)) {
+			return errors.send(req, res, 412, 'Precondition Failed', {"ETag": entityTag, "Last-Modified": lastModified});
 		}
-	}
+
+		if (isNotModified(req, entityTag, fileStats)) {
+			res.writeHead(304, responseHeader);
+			return res.end();
+		}
+
+		// Unknown types are sent without a Content-Type so the browser can sniff them.
+		if (mimeType) responseHeader["Content-Type"] = mimeType;
+
+		if (dynamicEncoding) {
+			// Compressed length is not known until it's done so there is no Content-Length.
+			responseHeader["Content-Encoding"] = dynamicEncoding;
+			res.writeHead(200, responseHeader);
+			if (req.method == 'HEAD') return res.end();
+
+			const dataStream = cache.createReadStream(filePath, fileStats);
+			dataStream.on('error', function(err) {
+				log.error(log.tags('Index'), `Failed to read ${filePath}: ${err.message}`);
+				res.destroy();
+			});
+			return dataStream.pipe(compress.createStream(dynamicEncoding)).pipe(res);
+		}
+
+		if (precompressed) responseHeader["Content-Encoding"] = precompressed.encoding;
+
+		// "Resume Download" partial file. The Range header is ignored if the
+		// client's partial copy is out of date.
+		const ranges = req.headers.range && isRangeCurrent(req, entityTag, fileStats) ? parseRange(req.headers.range, fileStats.size) : null;
+
+		if (ranges === -1) {
+			return errors.send(req, res, 416, 'Range Not Satisfiable', {"Content-Range": `bytes */${fileStats.size}`});
+		}
+
+		if (!ranges) {
+			responseHeader["Content-Length"] = fileStats.size;
+			res.writeHead(200, responseHeader);
+			sendByteRanges(req, res, filePath, fileStats, [{start: 0, end: fileStats.size - 1}]);
+		} else if (ranges.length == 1) {
+			responseHeader["Content-Length"] = ranges[0].end - ranges[0].start + 1;
+			responseHeader["Content-Range"] = `bytes ${ranges[0].start}-${ranges[0].end}/${fileStats.size}`;
+			res.writeHead(206, responseHeader);
+			sendByteRanges(req, res, filePath, fileStats, ranges);
+		} else {
+			// Multiple ranges are sent as parts of a multipart/byteranges body (RFC 7233 Appendix A)
+			const boundary = randomBytes(16).toString('hex');
+			ranges.forEach(range => range.header = `\r\n--${boundary}\r\n${mimeType ? `Content-Type: ${mimeType}\r\n` : ''}Content-Range: bytes ${range.start}-${range.end}/${fileStats.size}\r\n\r\n`);
+			const trailer = `\r\n--${boundary}--\r\n`;
+
+			responseHeader["Content-Type"] = `multipart/byteranges; boundary=${boundary}`;
+			responseHeader["Content-Length"] = ranges.reduce((length, range) => length + Buffer.byteLength(range.header) + range.end - range.start + 1, Buffer.byteLength(trailer));
+			res.writeHead(206, responseHeader);
+			sendByteRanges(req, res, filePath, fileStats, ranges, trailer);
+		}
+	});
+}
+
+/**
+ * This function renders the requested Markdown file as HTML inside the
+ * standard page layout and returns it through the given Node response object.
+ */
+function loadMarkdown(req, res, stats, root, absoluteSystemPath) {
+	cache.readFile(absoluteSystemPath, stats, (err, data) => {
+		if (err) {
+			return route.sendNotFound(req, res);
+		}
+
+		const source = data.toString();
+		// Title the page after its first heading
+		const heading = /^ {0,3}# +(.*?)(?: +#+)? *$/m.exec(source);
+		const title = heading ? heading[1].replace(/[*_`]/g, '') : path.basename(absoluteSystemPath);
+		const content = `<article class="markdown">\n${markdown(source)}\n</article>`;
+
+		// Use the site's own layout (_layout.html) if there is one.
+		template.wrap(req, root, absoluteSystemPath, stats, content, {title}, (html) => {
+			if (html) {
+				return compress.send(req, res, 200, {"Cache-Control": "no-cache", "Content-Type": "text/html;charset=utf-8"}, html);
+			}
+
+			// The rendered page is not byte-for-byte the file so its entity tag is weak.
+			const entityTag = getEntityTag(stats, 'html');
+			const responseHeader = {
+				"Cache-Control": "max-age=72000",
+				"ETag": `W/${entityTag}`,
+				"Last-Modified": stats.mtime.toUTCString()
+			};
+
+			if (isNotModified(req, entityTag, stats)) {
+				res.writeHead(304, responseHeader);
+				return res.end();
+			}
+
+			responseHeader["Content-Type"] = "text/html;charset=utf-8";
+			compress.send(req, res, 200, responseHeader, renderPage(title, content));
+		});
+	});
+}
+
+/**
+ * Stream each of the given byte ranges of a file into the response one after
+ * the other, preceded by its part header (if it has one) and followed by the
+ * trailer once the last range has been sent.
+ */
+function sendByteRanges(req, res, absoluteSystemPath, stats, ranges, trailer) {
+	if (req.method == 'HEAD') return res.end();
+
+	const [range, ...remaining] = ranges;
+	if (!range) return res.end(trailer);
+	if (range.header) res.write(range.header);
+
+	// Empty files have nothing to stream
+	if (range.end < range.start) return sendByteRanges(req, res, absoluteSystemPath, stats, remaining, trailer);
 
 	// Load file content
-	dataStream = fs.createReadStream(absoluteSystemPath, {start: Number(rangeStart), end: Number(rangeEnd)});
-	dataStream.on('error', function(){
-		return route.sendNotFound(req, res);
+	const dataStream = cache.createReadStream(absoluteSystemPath, stats, {start: range.start, end: range.end});
+	dataStream.on('error', function(err) {
+		log.error(log.tags('Index'), `Failed to read ${absoluteSystemPath}: ${err.message}`);
+		res.destroy();
 	});
+	dataStream.on('end', () => sendByteRanges(req, res, absoluteSystemPath, stats, remaining, trailer));
 
-	// Set response headers
-	const responseHeader = {
-		"Cache-Control": "max-age=72000",
-		"Content-Type": mimeType,
-		"Content-Length": Number(rangeEnd) === Number(rangeStart) ? 0 : (Number(rangeEnd) + 1) - Number(rangeStart)
-	};
-	if (isPartialRequest) {
-		responseHeader["Accept-Ranges"] = "bytes";
-		responseHeader["Content-Range"] = `bytes ${rangeStart}-${rangeEnd}/${stats.size}`;
+	// Connect datastream to output
+	dataStream.pipe(res, {end: false});
+}
+
+/**
+ * Parse a Range header (RFC 7233 section 2.1) into a list of inclusive
+ * {start, end} byte offsets within a file of the given size. Overlapping
+ * ranges are merged so a client cannot ask for the same bytes over and over.
+ *
+ * Return null if the header should be ignored (malformed or not in bytes) or
+ * -1 if none of the requested ranges can be satisfied.
+ */
+function parseRange(header, size) {
+	const match = /^\s*bytes\s*=(.*)$/i.exec(header);
+	if (!match) return null;
+
+	const ranges = [];
+	for (const spec of match[1].split(',').filter(spec => spec.trim())) {
+		const bounds = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+		if (!bounds || (bounds[1] === '' && bounds[2] === '')) return null;
+
+		if (bounds[1] === '') {
+			// Suffix range, "-500" is the last 500 bytes
+			const length = Number(bounds[2]);
+			if (length > 0 && size > 0) ranges.push({start: Math.max(0, size - length), end: size - 1});
+		} else {
+			const start = Number(bounds[1]);
+			const end = bounds[2] === '' ? Infinity : Number(bounds[2]);
+			if (end < start) return null;
+			if (start < size) ranges.push({start, end: Math.min(end, size - 1)});
+		}
 	}
-	res.writeHead(isPartialRequest ? 206 : 200, mimeType ? responseHeader : null);
 
-	// Connect datastream to output
-	dataStream.pipe(res);
+	if (ranges.length == 0) return -1;
+
+	return ranges
+		.sort((a, b) => a.start - b.start)
+		.reduce((merged, range) => {
+			const last = merged[merged.length - 1];
+			if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+			else merged.push(range);
+			return merged;
+		}, []);
+}
+module.exports.parseRange = parseRange;
+
+/**
+ * Build a strong entity tag from the file's stats. Replacing or writing to the
+ * file changes its inode, size or modification time so the tag changes too.
+ *
+ * Content compressed on the fly (or rendered) is a different representation of
+ * the same file so the variant is added to the tag.
+ */
+function getEntityTag(stats, variant) {
+	return `"${[stats.ino, stats.size, Math.floor(stats.mtimeMs)].map(n => n.toString(16)).concat(variant ?? []).join('-')}"`;
+}
+module.exports.getEntityTag = getEntityTag;
+
+/**
+ * Check the request's If-Match and If-Unmodified-Since headers against the
+ * file's current validators. If-Unmodified-Since is only considered when there
+ * is no If-Match (RFC 7232 section 6).
+ *
+ * Return true if the client's copy is out of date and a 412 should be sent.
+ */
+function isPreconditionFailed(req, entityTag, stats) {
+	const ifMatch = req.headers['if-match'];
+	if (ifMatch) {
+		// Strong comparison. Weak tags never match.
+		return ifMatch.trim() !== '*' && !ifMatch.split(',').map(tag => tag.trim()).includes(entityTag);
+	}
+
+	const ifUnmodifiedSince = Date.parse(req.headers['if-unmodified-since']);
+	if (!isNaN(ifUnmodifiedSince)) {
+		return Math.floor(stats.mtimeMs / 1000) > Math.floor(ifUnmodifiedSince / 1000);
+	}
+
+	return false;
+}
+
+/**
+ * Check the request's If-None-Match and If-Modified-Since headers against the
+ * file's current validators. If-Modified-Since is only considered when there is
+ * no If-None-Match (RFC 7232 section 6).
+ *
+ * Return true if the client's cached copy is still good and a 304 should be sent.
+ */
+function isNotModified(req, entityTag, stats) {
+	if (req.method != 'GET' && req.method != 'HEAD') return false;
+
+	const ifNoneMatch = req.headers['if-none-match'];
+	if (ifNoneMatch) {
+		// Weak comparison. "W/" prefixes are ignored.
+		return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(entityTag);
+	}
+
+	const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+	if (!isNaN(ifModifiedSince)) {
+		// HTTP dates only have one second precision.
+		return Math.floor(stats.mtimeMs / 1000) <= Math.floor(ifModifiedSince / 1000);
+	}
+
+	return false;
+}
+
+/**
+ * Check the request's If-Range header. A Range request should only be honored
+ * if the client's partial copy is of the current version of the file. Otherwise
+ * the full file is sent.
+ *
+ * Return true if there is no If-Range header or if it matches.
+ */
+function isRangeCurrent(req, entityTag, stats) {
+	const ifRange = req.headers['if-range']?.trim();
+	if (!ifRange) return true;
+
+	// Entity tags must match exactly with strong comparison. Weak tags never match.
+	if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === entityTag;
+
+	// Otherwise, it is an HTTP date that must exactly match Last-Modified.
+	const date = Date.parse(ifRange);
+	return !isNaN(date) && Math.floor(date / 1000) === Math.floor(stats.mtimeMs / 1000);
 }
 
 /**
@@ -92,68 +429,187 @@ function loadFile(req, res, stats, absoluteSystemPath) {
  * current domain root, then a redirect to the found index is sent back through
  * the given Node response object. If no index is found, one is generated from
  * a template and sent back as the content of the response (no redirect).
+ *
+ * Generated listings can be sorted and filtered with query parameters:
+ *   sort   name, size, mtime or type
+ *   order  asc or desc
+ *   filter Only list entries with names containing this text
+ *   type   Only list "file" or "directory" entries
+ *
+ * Clients that send "Accept: application/json" get the listing as JSON instead
+ * of HTML. Index files are not followed for JSON requests.
  */
-function loadDirectory(req, res, stats, webPath, absoluteSystemPath) {
+function loadDirectory(req, res, stats, root, webPath, absoluteSystemPath) {
 	fs.readdir(absoluteSystemPath, (err, files) => {
+		if (err) {
+			return route.sendNotFound(req, res);
+		}
+
+		const wantsJson = req.headers.accept?.includes('application/json');
 
 		// If this request is for the root directory, check for an optionally
 		// configured index file matched on domain name. This configuration comes
-		// from web-host/administration/config.json and is expected to be a simple
-		// key:value pair of domain:indexFile
+		// from web-host/administration/config.json as either the site's "index"
+		// or a simple key:value pair of domain:indexFile in "indices"
 		// If this is not a domain root or if no index is configured, check for a file named "index"
-		const index = ((webPath === '/') && config.indices[req.headers.host]) || files.find(file => file === "index.html");
+		const index = ((webPath === '/') && (req.site?.index || config.indices[req.headers.host])) || files.find(file => file === "index.html");
 
-		if (index) {
+		if (index && !wantsJson) {
 			// If an index file has been found, redirect to that instead of generating an index for this directory.
 			res.writeHead("302", {"Location": path.join(webPath, index)});
 			return res.end();
 		}
 
-		// Otherwise, since no index was found, generate and index for this directory using this template.
-		const parentWebPath = path.dirname(webPath);
-		const images = files.filter(file => path.extname(file) === '.jpg' || path.extname(file) === '.JPG');
-		const output =
-`<!DOCTYPE html>
+		const query = new url.URL(req.url, 'http://localhost').searchParams;
+		const sort = query.get('sort') ?? config.directoryListingSort;
+		const order = query.get('order') ?? config.directoryListingOrder;
+		const filter = query.get('filter')?.toLowerCase();
+		const type = query.get('type');
+
+		// Users who may write here get an upload form.
+		auth.canWrite(req, root, absoluteSystemPath, (canWrite) => getEntries(root, absoluteSystemPath, files.filter(file => !module.exports.isDenied(file)), (entries) => {
+			entries = entries
+				.filter(entry => !filter || entry.name.toLowerCase().includes(filter))
+				.filter(entry => !type || entry.type === type)
+				.sort(entryComparators[sort] ?? entryComparators.name);
+			if (order === 'desc') entries.reverse();
+
+			if (wantsJson) {
+				const listing = {
+					path: webPath.split(path.sep).join('/'),
+					modified: stats.mtime.toISOString(),
+					entries: entries.map(entry => ({
+						name: entry.name,
+						href: path.join(webPath, encodeURIComponent(entry.name)),
+						type: entry.type,
+						mimeType: entry.type === 'file' ? mimeMap[path.extname(entry.name).toLowerCase()] ?? null : null,
+						size: entry.size,
+						modified: entry.mtime.toISOString()
+					}))
+				};
+				return compress.send(req, res, 200, {"Content-Type": "application/json; charset=utf-8"}, JSON.stringify(listing));
+			}
+
+			// Otherwise, since no index was found, generate and index for this directory using this template.
+			const parentWebPath = path.dirname(webPath);
+			const images = entries.map(entry => entry.name).filter(file => path.extname(file) === '.jpg' || path.extname(file) === '.JPG');
+			const sortLink = (key, label) => {
+				const nextOrder = sort === key && order !== 'desc' ? 'desc' : 'asc';
+				return `<a href="?sort=${key}&amp;order=${nextOrder}">${label}${sort === key ? (order === 'desc' ? ' ▾' : ' ▴') : ''}</a>`;
+			};
+			const output = renderPage(`Index of ${webPath.split(path.sep).join('/')}`,
+`<h2>${respond.escapeHtml(path.basename(webPath))}</h2>
+			${ images.length > 0 ?
+`			
+				<img id="index-header" src="${respond.escapeHtml(path.join(webPath, encodeURIComponent(images[0])))}" />
+` : ""}
+			<nav class="index-sort">Sort by ${sortLink('name', 'Name')} ${sortLink('size', 'Size')} ${sortLink('mtime', 'Modified')} ${sortLink('type', 'Type')}</nav>
+			<ul>
+				${parentWebPath ? `<li class="index-link-folder"><a href="${respond.escapeHtml(parentWebPath)}">⤴</a></li>`:''}
+				${entries.map(entry => getFileLinkTemplate(entry, webPath)).join('\n\t')}
+			</ul>
+			${canWrite ? `<form class="index-upload" method="POST" enctype="multipart/form-data">
+				<input type="file" name="files" multiple />
+				<input type="submit" value="Upload" />
+			</form>` : ''}
+			<address>Modified: ${formatDate(stats.mtime)}</address>`);
+			// The upload form depends on the user.
+			return compress.send(req, res, 200, {"Content-Type": "text/html;charset=utf-8", "Cache-Control": "no-cache"}, output);
+		}));
+	});
+}
+
+/**
+ * Stat each of the given directory entries. Symbolic links are described by
+ * what they point to. Entries that disappear before they can be checked, or
+ * links that point outside of the root, are left out.
+ *
+ * The callback is passed a list of {name, type, size, mtime} where type is
+ * "directory", "file" or "other".
+ */
+function getEntries(root, absoluteSystemPath, files, callback) {
+	const entries = [];
+	let remaining = files.length;
+	if (remaining === 0) return callback(entries);
+
+	const stat = (entryPath, statCallback) => cache.lstat(entryPath, (err, stats) => {
+		if (!err && stats.isSymbolicLink()) return statWithinRoot(root, entryPath, statCallback);
+		statCallback(err, stats);
+	});
+
+	files.forEach(file => {
+		stat(path.join(absoluteSystemPath, file), (err, stats) => {
+			if (!err) {
+				entries.push({
+					name: file,
+					type: stats.isDirectory() ? 'directory' : stats.isFile() ? 'file' : 'other',
+					size: stats.isFile() ? stats.size : null,
+					mtime: stats.mtime
+				});
+			}
+			if (--remaining === 0) callback(entries);
+		});
+	});
+}
+
+// Sort orders for generated directory listings. Ties are broken by name.
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, {numeric: true, sensitivity: 'base'});
+const entryComparators = {
+	name: byName,
+	size: (a, b) => ((a.size ?? -1) - (b.size ?? -1)) || byName(a, b),
+	mtime: (a, b) => (a.mtime - b.mtime) || byName(a, b),
+	type: (a, b) => a.type.localeCompare(b.type) || path.extname(a.name).localeCompare(path.extname(b.name)) || byName(a, b)
+};
+
+function getFileLinkTemplate(entry, webPath) {
+	const file = entry.name;
+	// File names come from anyone who may upload so they only ever go in to (escaped) attributes and text, never scripts.
+	const url = respond.escapeHtml(path.join(webPath, encodeURIComponent(file)));
+	const details = `<span class="index-details">${entry.size !== null ? `<span class="index-size">${formatSize(entry.size)}</span> ` : ''}<time datetime="${entry.mtime.toISOString()}">${formatDate(entry.mtime)}</time></span>`;
+	if (entry.type == "directory") {
+		return `<li class="index-link-folder"><a href="${url}">${respond.escapeHtml(file)}</a> ${details}</li>`;
+	} else if (path.extname(file) == ".jpg" || path.extname(file) == ".JPG") {
+		return `<li class="index-link-image"><a href="${url}" target="_blank">${respond.escapeHtml(file)}</a> ${details}</li>`
+	}
+	else {
+		return `<li class="index-link-file"><a href="${url}">${respond.escapeHtml(file)}</a> ${details}</li>`;
+	}
+}
+
+/**
+ * Wrap generated content in the standard page layout. This is the layout used
+ * by generated directory indexes and rendered Markdown.
+ *
+ * @param {string} title   Plain text page title
+ * @param {string} content HTML
+ * @return {string} HTML
+ */
+function renderPage(title, content) {
+	return `<!DOCTYPE html>
 <html>
 	<meta charset="UTF-8">
 	<head>
 		<meta name="viewport" content="width=device-width, initial-scale=1.0">
 		<link rel="stylesheet" href="/style.css">
 		<link rel="stylesheet" href="/layout.css">
-		<title>Index of ${webPath.split(path.sep).join('/')}</title>
+		<title>${respond.escapeHtml(title)}</title>
 	</head>
 	<body>
 		<div class="content">
-			<h2>${path.basename(webPath)}</h2>
-			${ images.length > 0 ?
-`			
-				<img id="index-header" src="${path.join(webPath, encodeURIComponent(images[0]))}" />
-` : ""}
-			<ul>
-				${parentWebPath ? `<li class="index-link-folder" onclick="location.href = '${parentWebPath}';"><a href="${parentWebPath}">⤴</a></li>`:''}
-				${files.map(file => getFileLinkTemplate(file, webPath)).join('\n\t')}
-			</ul>
-			<address>Modified: ${stats.atime.toLocaleDateString("en-US", {month: "short", day: "2-digit", year: "numeric"})}</address>
+			${content}
 		</div>
 	</body>
 </html>`;
-		res.writeHead(200, {"Content-Type": "text/html;charset=utf-8", "Content-Length": (new TextEncoder().encode(output)).length});
-		return res.end(output);
-	});
 }
 
-function getFileLinkTemplate(file, webPath) {
-	const url = path.join(webPath, encodeURIComponent(file));
-	const listItemClickTemplate = `onclick="location.href = '${url}';"`;
-	if (path.extname(file) == ".jpg" || path.extname(file) == ".JPG") {
-		return `<li class="index-link-image" ${listItemClickTemplate}><a href="${url}" target="_blank">${file}</a></li>`
-	} else if (path.extname(file) == "") {
-		return `<li class="index-link-folder" ${listItemClickTemplate}><a href="${url}">${file}</a></li>`;
+function formatDate(date) {
+	return date.toLocaleDateString("en-US", {month: "short", day: "2-digit", year: "numeric"});
+}
 
-	}
-	else {
-		return `<li class="index-link-file" ${listItemClickTemplate}><a href="${url}">${file}</a></li>`;
-	}
+function formatSize(bytes) {
+	const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+	const exponent = Math.min(units.length - 1, Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)));
+	return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
 }
 
 /**
@@ -179,6 +635,8 @@ const mimeMap = {
 	".md": "text/markdown",
 	".markdown": "text/markdown",
 	".js": "text/javascript",
-	".mjs": "text/javascript"
+	".mjs": "text/javascript",
+	".pdf": "application/pdf",
+	".zip": "application/zip"
 };
 
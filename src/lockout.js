@@ -0,0 +1,256 @@
+/**
+ * This module slows down password guessing.
+ *
+ * Failed logins are counted for each account from each address and for each
+ * address overall. Once either reaches its limit ("lockoutThreshold" for an
+ * account, "ipLockoutThreshold" for an address), logins are refused for
+ * "lockoutDuration" seconds. Every failure after that doubles the wait, up to
+ * "maxLockoutDuration". Lockouts end by themselves and the count is forgotten
+ * "lockoutResetTime" seconds after the last failure.
+ *
+ * An account is only locked for the addresses the failures came from so that
+ * someone guessing at a user's password can't lock the user out. Guesses from
+ * many addresses are slowed down by each address's own count.
+ *
+ * Unknown user names are counted the same as real accounts so a lockout doesn't
+ * give away which names exist. Logging in successfully clears the account's
+ * count for that address but not the address's count so that one working
+ * account can't be used to keep guessing others.
+ *
+ * Counts are saved (see "pathToLockouts" in config.js) so that restarting the
+ * server doesn't unlock everyone. They are read again if "pathToLockouts"
+ * changes when the config is reloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+
+const log = require(path.join(__dirname, 'log.js'));
+const config = require(path.join(__dirname, 'config.js'));
+const audit = require(path.join(__dirname, 'audit.js'));
+
+// The oldest counts are dropped past this many so that guessing random user names can't use up memory.
+const maxTracked = 10000;
+
+// Failures come in bursts so they are written at most this often (in milliseconds).
+const saveDelay = 1000;
+
+// Each count is {failures, lastFailure, lockedUntil} with times in milliseconds.
+let counts = null; // {path, accounts: Map(credentials file path => Map(accountKey => count)), addresses: Map(address => count)}
+
+const accountKey = (address, name) => `${address} ${name}`;
+const getName = (accountKey) => accountKey.substring(accountKey.indexOf(' ') + 1);
+
+function getCounts() {
+	if (counts?.path === config.pathToLockouts) return counts;
+	counts = { path: config.pathToLockouts, accounts: new Map(), addresses: new Map() };
+	try {
+		const saved = JSON.parse(fs.readFileSync(config.pathToLockouts, 'utf8'));
+		Object.entries(saved.accounts ?? {}).forEach(([credentials, names]) => counts.accounts.set(credentials, new Map(Object.entries(names))));
+		counts.addresses = new Map(Object.entries(saved.addresses ?? {}));
+	} catch (err) {
+		if (err.code != 'ENOENT') log.error(log.tags('Lockout'), `Unable to load failed login counts. Current lockouts are lost. ${err.message}`);
+	}
+	return counts;
+}
+
+/**
+ * Whether a count still matters (it is locked or its failures haven't been
+ * forgotten yet).
+ */
+function isCurrent(count, now = Date.now()) {
+	return Boolean(count) && ((count.lockedUntil ?? 0) > now || now - count.lastFailure < config.lockoutResetTime * 1000);
+}
+
+/**
+ * Drop counts that no longer matter and the oldest ones past the limit. Counts
+ * are moved to the end when they change so the oldest come first.
+ */
+function prune(table) {
+	const now = Date.now();
+	for (const [key, count] of table) {
+		if (!isCurrent(count, now)) table.delete(key);
+	}
+	for (const [key] of table) {
+		if (table.size <= maxTracked) break;
+		table.delete(key);
+	}
+}
+
+/**
+ * Write the counts to the disk soon. Changes until then are saved together.
+ */
+let saveTimer = null;
+function save() {
+	if (saveTimer) return;
+	saveTimer = setTimeout(() => {
+		saveTimer = null;
+		write();
+	}, saveDelay);
+}
+
+/**
+ * Write the counts to the disk. Only one write runs at a time. Changes made
+ * during a write are saved by another write right after.
+ */
+let saving = false;
+let changedWhileSaving = false;
+function write() {
+	if (saving) {
+		changedWhileSaving = true;
+		return;
+	}
+	saving = true;
+	// The counts that changed, even if "pathToLockouts" has changed since.
+	const current = counts;
+	current.accounts.forEach((names, credentials) => {
+		prune(names);
+		if (names.size == 0) current.accounts.delete(credentials);
+	});
+	prune(current.addresses);
+
+	const saved = {
+		accounts: Object.fromEntries([...current.accounts].map(([credentials, names]) => [credentials, Object.fromEntries(names)])),
+		addresses: Object.fromEntries(current.addresses),
+	};
+	const tempPath = `${current.path}.${randomBytes(6).toString('hex')}.tmp`;
+	fs.writeFile(tempPath, JSON.stringify(saved), { mode: 0o600 }, (err) => {
+		const done = (err) => {
+			if (err) log.error(log.tags('Lockout'), `Unable to save failed login counts: ${err.message}`);
+			saving = false;
+			if (changedWhileSaving) {
+				changedWhileSaving = false;
+				write();
+			}
+		};
+		if (err) return done(err);
+		fs.rename(tempPath, current.path, done);
+	});
+}
+
+/**
+ * The address to count a request's failures against. IPv6 addresses are
+ * counted by network (/64) because picking another address in the same
+ * network is easy.
+ */
+function getAddress(req) {
+	const address = req.socket.remoteAddress ?? '';
+	if (address.startsWith('::ffff:')) return address.substring(7);
+	if (!address.includes(':')) return address;
+
+	const [head, tail = ''] = address.split('%')[0].split('::');
+	const start = head.split(':').filter(group => group);
+	const end = tail.split(':').filter(group => group);
+	const groups = [...start, ...Array(Math.max(0, 8 - start.length - end.length)).fill('0'), ...end];
+	return `${groups.slice(0, 4).join(':')}::/64`;
+}
+
+function getAccountCounts(site) {
+	const accounts = getCounts().accounts;
+	if (!accounts.has(site.pathToUserCredentials)) accounts.set(site.pathToUserCredentials, new Map());
+	return accounts.get(site.pathToUserCredentials);
+}
+
+/**
+ * Count a failure. Once there are threshold failures, the key is locked and
+ * each failure after that doubles how long for.
+ *
+ * @return {object} The count
+ */
+function fail(table, key, threshold) {
+	const now = Date.now();
+	const count = isCurrent(table.get(key), now) ? table.get(key) : { failures: 0 };
+	table.delete(key);
+	table.set(key, count);
+
+	count.failures++;
+	count.lastFailure = now;
+	if (count.failures >= threshold) {
+		count.lockedUntil = now + Math.min(config.lockoutDuration * 2 ** (count.failures - threshold), config.maxLockoutDuration) * 1000;
+	}
+	return count;
+}
+
+/**
+ * How long until a login to this account from this request's address may be
+ * tried again.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {object} site
+ * @param {string} name
+ * @return {number} Seconds. 0 if logging in is allowed now.
+ */
+module.exports.check = (req, site, name) => {
+	const address = getAddress(req);
+	const lockedUntil = Math.max(getAccountCounts(site).get(accountKey(address, name))?.lockedUntil ?? 0, getCounts().addresses.get(address)?.lockedUntil ?? 0);
+	return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+};
+
+/**
+ * Count a failed login (or wrong current password) for an account and the
+ * request's address.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {object} site
+ * @param {string} name
+ */
+module.exports.recordFailure = (req, site, name) => {
+	const address = getAddress(req);
+	const account = fail(getAccountCounts(site), accountKey(address, name), config.lockoutThreshold);
+	const byAddress = fail(getCounts().addresses, address, config.ipLockoutThreshold);
+	save();
+
+	if (account.failures >= config.lockoutThreshold) {
+		log.warning(log.tag('Auth'), `Account Locked (${name}) for ${address} for ${Math.round((account.lockedUntil - account.lastFailure) / 1000)} seconds after ${account.failures} failed login attempts.`);
+		audit.record(req, 'lockout', name, { locked: 'account', address, failures: account.failures, until: new Date(account.lockedUntil).toISOString() });
+	}
+	if (byAddress.failures >= config.ipLockoutThreshold) {
+		log.warning(log.tag('Auth'), `Address Locked (${address}) for ${Math.round((byAddress.lockedUntil - byAddress.lastFailure) / 1000)} seconds after ${byAddress.failures} failed login attempts.`);
+		audit.record(req, 'lockout', name, { locked: 'address', address, failures: byAddress.failures, until: new Date(byAddress.lockedUntil).toISOString() });
+	}
+};
+
+/**
+ * Forget an account's failed logins from the request's address after a
+ * successful login.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {object} site
+ * @param {string} name
+ */
+module.exports.recordSuccess = (req, site, name) => {
+	if (getAccountCounts(site).delete(accountKey(getAddress(req), name))) save();
+};
+
+/**
+ * An account's failed logins (from every address) for the admin console.
+ *
+ * @param {object} site
+ * @param {string} name
+ * @return {object?} {failures, lockedUntil} lockedUntil is the latest lockout from any address. null if there are none
+ */
+module.exports.getAccount = (site, name) => {
+	const now = Date.now();
+	const current = [...getAccountCounts(site)].filter(([key, count]) => getName(key) === name && isCurrent(count, now)).map(([, count]) => count);
+	if (current.length == 0) return null;
+	return {
+		failures: current.reduce((failures, count) => failures + count.failures, 0),
+		lockedUntil: Math.max(...current.map(count => count.lockedUntil ?? 0)),
+	};
+};
+
+/**
+ * Forget an account's failed logins from every address. This ends a lockout
+ * caused by too many wrong passwords (but not a lock in the credentials file).
+ * Lockouts of the addresses the guesses came from are left alone.
+ *
+ * @param {object} site
+ * @param {string} name
+ */
+module.exports.reset = (site, name) => {
+	const accounts = getAccountCounts(site);
+	const keys = [...accounts.keys()].filter(key => getName(key) === name);
+	keys.forEach(key => accounts.delete(key));
+	if (keys.length > 0) save();
+};
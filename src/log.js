@@ -45,6 +45,8 @@ module.exports.tags = (...tags) => `${tags.filter(tag => tag).map(tag => `(${mod
 module.exports.tag = module.exports.tags;
 
 const config = require(path.join(__dirname, 'config.js'));
+const compress = require(path.join(__dirname, 'compress.js'));
+const cache = require(path.join(__dirname, 'cache.js'));
 
 const dailyLogFile = config.dailyLogFile;
 let dailies = fs.createWriteStream(dailyLogFile, { flags: 'a+' });
@@ -99,7 +101,7 @@ function turnoverDaily(now) {
  * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
  * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
  */
-module.exports.sendStatusPage = (_req, res) => {
+module.exports.sendStatusPage = (req, res) => {
 	const hours = {};
 	const flatData = [];
 	for (let hour = 0; hour < 24; hour++)
@@ -139,6 +141,10 @@ module.exports.sendStatusPage = (_req, res) => {
 				try {
 					data = JSON.parse(message.substring(dataOpen, dataClose + 1));
 
+					// Each site's status page only counts its own requests. Older log
+					// records don't have a site and belong to the default site.
+					if (req.site && (data.site ?? config.defaultSite.name) !== req.site.name) return;
+
 
 					// TODO: The status parsing is expecting a request to have one instance of '{ ... }' but clients may have sent un-escaped strings on the URL. 
 					//         This may cause missing log entries. Fix.
@@ -425,6 +431,9 @@ module.exports.sendStatusPage = (_req, res) => {
 					<div>
 						Up for <strong>${Math.trunc(os.uptime() / 86400)}</strong> days
 					</div>
+					${cache.counters().map(({ name, hits, misses, count }) => `<div>
+						${name} cache <strong>${hits}</strong> / <strong>${misses}</strong> <em>(hits / misses, ${count} cached)</em>
+					</div>`).join('\n\t\t\t\t\t')}
 				</div>
 				${getPageHitsGraph()}
 			</div>
@@ -445,8 +454,7 @@ module.exports.sendStatusPage = (_req, res) => {
 	</body>
 </html>
 `;
-		res.writeHead("200", { "Content-Type": "text/html", "Content-Length": pageTemplate.length });
-		res.end(pageTemplate);
+		compress.send(req, res, 200, { "Content-Type": "text/html; charset=utf-8" }, pageTemplate);
 	});
 }
 
@@ -0,0 +1,273 @@
+/**
+ * This module renders Markdown as HTML.
+ *
+ * It covers the basics of CommonMark (https://commonmark.org/) plus GitHub
+ * style tables and strikethrough: headings, paragraphs, emphasis, links,
+ * images, lists, block quotes, code and horizontal rules.
+ *
+ * It is not a complete implementation. Raw HTML in the source is escaped and
+ * shown as text rather than passed through.
+ */
+
+/**
+ * Render the given Markdown source as an HTML fragment.
+ *
+ * @param {string} source
+ * @return {string} HTML
+ */
+module.exports = (source) => renderBlocks(source
+	.replace(/\r\n?/g, '\n')
+	.replace(/\u0000/g, '�')
+	.replace(/\t/g, '    ')
+	.split('\n'));
+
+const patterns = {
+	fence: /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/,
+	heading: /^ {0,3}(#{1,6})(?:[ ]+(.*?))?(?:[ ]+#+)?[ ]*$/,
+	rule: /^ {0,3}([-*_])(?:[ ]*\1){2,}[ ]*$/,
+	quote: /^ {0,3}> ?/,
+	listItem: /^( {0,3})([-*+]|\d{1,9}[.)])( {1,4}(?=\S)|[ ]*$)/,
+	indentedCode: /^ {4}/,
+	setext: /^ {0,3}(=+|-+)[ ]*$/,
+	tableDelimiter: /^[ ]*\|?[ ]*:?-+:?[ ]*(\|[ ]*:?-+:?[ ]*)*\|?[ ]*$/,
+};
+
+/**
+ * Render a list of lines as a sequence of blocks.
+ *
+ * @param {string[]} lines
+ * @param {boolean} tight   Paragraphs in tight lists are not wrapped in <p>
+ * @return {string} HTML
+ */
+function renderBlocks(lines, tight = false) {
+	const out = [];
+	let i = 0;
+
+	while (i < lines.length) {
+		const line = lines[i];
+		let match;
+
+		if (!line.trim()) {
+			i++;
+		} else if ((match = patterns.fence.exec(line))) {
+			const fence = match[1];
+			const closing = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}[ ]*$`);
+			const indent = line.length - line.trimStart().length;
+			const code = [];
+			for (i++; i < lines.length && !closing.test(lines[i]); i++) {
+				code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+			}
+			i++;
+			out.push(`<pre><code${match[2] ? ` class="language-${escape(match[2])}"` : ''}>${code.map(codeLine => escape(codeLine) + '\n').join('')}</code></pre>`);
+		} else if ((match = patterns.heading.exec(line))) {
+			out.push(`<h${match[1].length}>${renderInline(match[2] ?? '')}</h${match[1].length}>`);
+			i++;
+		} else if (patterns.rule.test(line)) {
+			out.push('<hr>');
+			i++;
+		} else if (patterns.quote.test(line)) {
+			const quoted = [];
+			// Lines without ">" continue the quote (lazily) until a blank line.
+			for (; i < lines.length && lines[i].trim() && (patterns.quote.test(lines[i]) || !startsBlock(lines[i])); i++) {
+				quoted.push(lines[i].replace(patterns.quote, ''));
+			}
+			out.push(`<blockquote>\n${renderBlocks(quoted)}\n</blockquote>`);
+		} else if (patterns.listItem.test(line)) {
+			i = renderList(lines, i, out);
+		} else if (patterns.indentedCode.test(line)) {
+			const code = [];
+			for (; i < lines.length && (patterns.indentedCode.test(lines[i]) || !lines[i].trim()); i++) {
+				code.push(lines[i].substring(4));
+			}
+			while (code.length && !code[code.length - 1].trim()) code.pop();
+			out.push(`<pre><code>${code.map(codeLine => escape(codeLine) + '\n').join('')}</code></pre>`);
+		} else if (line.includes('|') && patterns.tableDelimiter.test(lines[i + 1] ?? '') && splitRow(line).length === splitRow(lines[i + 1]).length) {
+			i = renderTable(lines, i, out);
+		} else {
+			// Trailing spaces are kept for now because two of them make a line break.
+			const paragraph = [line.trimStart()];
+			for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i], true); i++) {
+				if (patterns.setext.test(lines[i])) break;
+				paragraph.push(lines[i].trimStart());
+			}
+			const text = paragraph.join('\n').trimEnd();
+
+			const setext = patterns.setext.exec(lines[i] ?? '');
+			if (setext) {
+				const level = setext[1][0] === '=' ? 1 : 2;
+				out.push(`<h${level}>${renderInline(text)}</h${level}>`);
+				i++;
+			} else {
+				out.push(tight ? renderInline(text) : `<p>${renderInline(text)}</p>`);
+			}
+		}
+	}
+
+	return out.join('\n');
+}
+
+/**
+ * Whether the given line starts a new block. Some blocks can't interrupt a
+ * paragraph: indented code, and ordered lists that don't start at 1.
+ */
+function startsBlock(line, inParagraph = false) {
+	const listItem = patterns.listItem.exec(line);
+	return patterns.fence.test(line)
+		|| patterns.heading.test(line)
+		|| patterns.rule.test(line)
+		|| patterns.quote.test(line)
+		|| (listItem && (!inParagraph || (line.trim() !== listItem[0].trim() && (!/\d/.test(listItem[2]) || parseInt(listItem[2]) === 1))))
+		|| (!inParagraph && patterns.indentedCode.test(line));
+}
+
+/**
+ * Render the list starting at lines[start]. Items continue for as long as
+ * their lines are indented past the list marker.
+ *
+ * @return {number} Index of the first line after the list
+ */
+function renderList(lines, start, out) {
+	const first = patterns.listItem.exec(lines[start]);
+	const ordered = /\d/.test(first[2]);
+	const delimiter = first[2].slice(-1);
+	const items = [];
+	let loose = false;
+	let i = start;
+
+	while (i < lines.length) {
+		const match = patterns.listItem.exec(lines[i]);
+		if (!match || /\d/.test(match[2]) !== ordered || match[2].slice(-1) !== delimiter) break;
+
+		// Content of an item is indented past its marker. An empty first line means the content starts on the next.
+		const indent = lines[i].trim() === match[2] ? match[1].length + match[2].length + 1 : match[0].length;
+		const item = [lines[i].substring(match[0].length)];
+
+		for (i++; i < lines.length; i++) {
+			if (!lines[i].trim()) {
+				// A blank line continues the item only if the next line is indented to match.
+				let next = i;
+				while (next < lines.length && !lines[next].trim()) next++;
+				if (next < lines.length && indentOf(lines[next]) >= indent) {
+					item.push(...lines.slice(i, next).map(() => ''));
+					i = next - 1;
+					loose = true;
+					continue;
+				}
+				break;
+			}
+			if (indentOf(lines[i]) >= indent) {
+				item.push(lines[i].substring(indent));
+			} else if (item[item.length - 1].trim() && !startsBlock(lines[i], true)) {
+				// Lazy paragraph continuation
+				item.push(lines[i].trim());
+			} else {
+				break;
+			}
+		}
+		items.push(item);
+
+		// Blank lines between items make the whole list loose.
+		let next = i;
+		while (next < lines.length && !lines[next].trim()) next++;
+		const following = patterns.listItem.exec(lines[next] ?? '');
+		if (next > i && following && /\d/.test(following[2]) === ordered && following[2].slice(-1) === delimiter) {
+			loose = true;
+			i = next;
+		}
+	}
+
+	const tag = ordered ? 'ol' : 'ul';
+	const startNumber = ordered ? parseInt(first[2]) : 1;
+	out.push(`<${tag}${startNumber !== 1 ? ` start="${startNumber}"` : ''}>\n${items.map(item => `<li>${renderBlocks(item, !loose)}</li>`).join('\n')}\n</${tag}>`);
+	return i;
+}
+
+/**
+ * Render the GitHub style table starting at lines[start]. The second line is
+ * the delimiter row which sets each column's alignment.
+ *
+ * @return {number} Index of the first line after the table
+ */
+function renderTable(lines, start, out) {
+	const header = splitRow(lines[start]);
+	const alignments = splitRow(lines[start + 1]).map(cell => {
+		if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+		if (cell.endsWith(':')) return 'right';
+		if (cell.startsWith(':')) return 'left';
+		return null;
+	});
+	const renderRow = (cells, tag) => `<tr>${header.map((_, column) => `<${tag}${alignments[column] ? ` style="text-align: ${alignments[column]}"` : ''}>${renderInline(cells[column] ?? '')}</${tag}>`).join('')}</tr>`;
+
+	const rows = [];
+	let i = start + 2;
+	for (; i < lines.length && lines[i].trim() && lines[i].includes('|') && !startsBlock(lines[i]); i++) {
+		rows.push(renderRow(splitRow(lines[i]), 'td'));
+	}
+
+	out.push(`<table>\n<thead>\n${renderRow(header, 'th')}\n</thead>${rows.length ? `\n<tbody>\n${rows.join('\n')}\n</tbody>` : ''}\n</table>`);
+	return i;
+}
+
+/**
+ * Split a table row into cells. Leading and trailing pipes are optional and
+ * "\|" is a literal pipe.
+ */
+function splitRow(line) {
+	return line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function indentOf(line) {
+	return line.length - line.trimStart().length;
+}
+
+/**
+ * Render inline content: code spans, links, images, emphasis and line breaks.
+ *
+ * Finished HTML is set aside behind placeholders as it is generated so later
+ * steps (escaping, emphasis) don't touch it.
+ *
+ * @param {string} text
+ * @return {string} HTML
+ */
+function renderInline(text) {
+	const stash = [];
+	const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+	const render = (text) => escape(text
+		// Code spans. Anything inside is literal.
+		.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, _ticks, code) => keep(`<code>${escape(code.replace(/\n/g, ' ').replace(/^ (.*) $/, '$1'))}</code>`))
+		// Backslash escapes
+		.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (_, character) => keep(escape(character)))
+		// Hard line breaks
+		.replace(/(?: {2,}|\\)\n/g, () => keep('<br>') + '\n')
+		// Autolinks
+		.replace(/<((?:https?|ftp):\/\/[^\s<>]+|mailto:[^\s<>]+)>/gi, (_, href) => keep(`<a href="${escape(safeUrl(href))}">${escape(href)}</a>`))
+		// Images
+		.replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+(["'])(.*?)\3)?\s*\)/g, (_, alt, src, _quote, title) => keep(`<img src="${escape(safeUrl(src))}" alt="${escape(alt)}"${title ? ` title="${escape(title)}"` : ''}>`))
+		// Links. The link text may contain other inline content (like an image).
+		.replace(/\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+(["'])(.*?)\3)?\s*\)/g, (_, label, href, _quote, title) => keep(`<a href="${escape(safeUrl(href))}"${title ? ` title="${escape(title)}"` : ''}>${render(label)}</a>`))
+	)
+		// Emphasis. Underscores inside words don't count.
+		.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+		.replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+		.replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+		.replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+		.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+	let html = render(text);
+	while (/\u0000\d+\u0000/.test(html)) {
+		html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
+	}
+	return html;
+}
+
+/**
+ * Links to scripts (javascript:, data:, vbscript:) are replaced with "#".
+ */
+function safeUrl(url) {
+	return /^\s*(javascript|vbscript|data):/i.test(url) ? '#' : url;
+}
+
+function escape(text) {
+	return text.replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'})[c]);
+}
@@ -0,0 +1,196 @@
+/**
+ * This module reads multipart/form-data request bodies (RFC 7578), the kind
+ * browsers send for forms with file inputs.
+ *
+ * The body is parsed as it arrives. File content is never held in memory all at
+ * once. Each file is handed over as a stream and the rest of the body waits
+ * until that file has been dealt with. Plain fields are small so they are
+ * collected and passed along at the end.
+ */
+
+const { Writable, PassThrough } = require('stream');
+
+const maxHeaderSize = 8 * 1024;
+
+/**
+ * Parse a multipart/form-data request.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {object} limits             {maxFileSize, maxFieldSize, maxFieldsSize, maxFiles, maxFields} in bytes (and
+ *                                    files or fields). maxFieldsSize is for all of the plain fields together.
+ * @param {function} onFile           (file, stream, done) file is {field, filename, contentType}. Read the stream
+ *                                    then call done(err). The stream errors if the request does.
+ * @param {function} callback         (err, fields) err has a statusCode if the form was rejected
+ */
+module.exports.parse = (req, limits, onFile, callback) => {
+	const { maxFileSize = Infinity, maxFieldSize = 64 * 1024, maxFieldsSize = 1024 * 1024, maxFiles = 100, maxFields = 1000 } = limits;
+	const boundary = getBoundary(req.headers['content-type']);
+	if (!boundary) return callback(rejected(400, 'Not a multipart/form-data request'));
+
+	const delimiter = Buffer.from(`\r\n--${boundary}`);
+	// Starting with a line break makes the first boundary look like all the others.
+	let buffer = Buffer.from('\r\n');
+	let state = 'preamble';
+	let part = null;
+	let fileCount = 0;
+	let fieldCount = 0;
+	let fieldsSize = 0;
+	const fields = {};
+
+	let finished = false;
+	const finish = (err) => {
+		if (finished) return;
+		finished = true;
+		if (err) {
+			part?.stream?.destroy(err);
+			req.unpipe(parser);
+			// Throw away the rest of the body so that the response can still be sent.
+			req.resume();
+		}
+		callback(err, err ? undefined : fields);
+	};
+
+	/**
+	 * Work through as much of the buffer as possible then ask for more.
+	 */
+	const parse = (next) => {
+		while (!finished) {
+			if (state == 'preamble') {
+				const found = buffer.indexOf(delimiter);
+				if (found == -1) {
+					buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length + 1));
+					return next();
+				}
+				buffer = buffer.subarray(found + delimiter.length);
+				state = 'boundary';
+			} else if (state == 'boundary') {
+				if (buffer.length < 2) return next();
+				if (buffer[0] == 0x2d && buffer[1] == 0x2d) {
+					// "--" after the boundary is the end of the form. Anything after that is ignored.
+					state = 'done';
+					finish();
+					return next();
+				}
+				const lineEnd = buffer.indexOf('\r\n');
+				if (lineEnd == -1) return buffer.length > maxHeaderSize ? finish(rejected(400, 'Malformed multipart boundary')) : next();
+				// Only whitespace may follow a boundary on its line.
+				if (buffer.subarray(0, lineEnd).toString().trim()) return finish(rejected(400, 'Malformed multipart boundary'));
+				buffer = buffer.subarray(lineEnd + 2);
+				state = 'headers';
+			} else if (state == 'headers') {
+				const headersEnd = buffer.indexOf('\r\n\r\n');
+				if (headersEnd == -1) return buffer.length > maxHeaderSize ? finish(rejected(400, 'Multipart headers too large')) : next();
+				const headers = parseHeaders(buffer.subarray(0, headersEnd).toString());
+				buffer = buffer.subarray(headersEnd + 4);
+
+				const disposition = parseParameters(headers['content-disposition'] ?? '');
+				if (disposition.name === undefined) return finish(rejected(400, 'Multipart field without a name'));
+				part = { field: disposition.name, size: 0 };
+				if (disposition.filename !== undefined) {
+					if (++fileCount > maxFiles) return finish(rejected(413, 'Too many files'));
+					part.stream = new PassThrough();
+					onFile({ field: disposition.name, filename: disposition.filename, contentType: headers['content-type'] ?? 'application/octet-stream' }, part.stream, (err) => {
+						if (err) return finish(err);
+						part.done = true;
+						part.continue?.();
+					});
+				} else {
+					if (++fieldCount > maxFields) return finish(rejected(413, 'Too many form fields'));
+					part.chunks = [];
+				}
+				state = 'body';
+			} else if (state == 'body') {
+				const found = buffer.indexOf(delimiter);
+				// Without a delimiter, the end of the buffer might be the start of one so it is kept for later.
+				const length = found == -1 ? Math.max(0, buffer.length - delimiter.length + 1) : found;
+				const data = buffer.subarray(0, length);
+				buffer = buffer.subarray(length);
+
+				part.size += data.length;
+				if (part.stream && part.size > maxFileSize) return finish(rejected(413, 'File too large'));
+				if (!part.stream && part.size > maxFieldSize) return finish(rejected(413, 'Form field too large'));
+				if (!part.stream && (fieldsSize += data.length) > maxFieldsSize) return finish(rejected(413, 'Form fields too large'));
+
+				let drained = true;
+				if (part.stream) drained = part.stream.write(data);
+				else part.chunks.push(data);
+				if (found == -1) {
+					return drained ? next() : part.stream.once('drain', next);
+				}
+
+				buffer = buffer.subarray(delimiter.length);
+				state = 'boundary';
+				if (part.stream) {
+					// Wait for the file to be saved before going on to the next part.
+					part.stream.end();
+					if (!part.done) {
+						part.continue = () => {
+							part = null;
+							parse(next);
+						};
+						return;
+					}
+				} else {
+					fields[part.field] = Buffer.concat(part.chunks).toString();
+				}
+				part = null;
+			} else {
+				// Done. Ignore the epilogue.
+				return next();
+			}
+		}
+		next();
+	};
+
+	const parser = new Writable({
+		write: (chunk, encoding, next) => {
+			if (finished) return next();
+			buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+			parse(next);
+		},
+		final: (next) => {
+			if (state != 'done') finish(rejected(400, 'Unexpected end of form'));
+			next();
+		},
+	});
+
+	req.on('error', finish);
+	req.pipe(parser);
+};
+
+/**
+ * @param {string} contentType
+ * @return {string?} The boundary if this is multipart/form-data
+ */
+function getBoundary(contentType) {
+	if (!/^\s*multipart\/form-data\s*;/i.test(contentType ?? '')) return null;
+	const boundary = parseParameters(contentType).boundary;
+	// RFC 2046 limits boundaries to 70 characters.
+	return boundary && boundary.length <= 70 ? boundary : null;
+}
+
+function parseHeaders(text) {
+	return text.split('\r\n').reduce((acc, line) => {
+		const separator = line.indexOf(':');
+		if (separator > 0) acc[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+		return acc;
+	}, {});
+}
+
+/**
+ * Parse header parameters ('form-data; name="photo"; filename="a.jpg"') into
+ * {name: 'photo', filename: 'a.jpg'}.
+ *
+ * Browsers percent encode quotes in names (HTML's form submission algorithm)
+ * instead of escaping them so backslashes are left as they are.
+ */
+function parseParameters(header) {
+	return [...header.matchAll(/;\s*([\w!#$%&'*+.^`|~-]+)\s*=\s*("[^"]*"|[^;\s]*)/g)].reduce((acc, [, name, value]) => {
+		acc[name.toLowerCase()] = value.startsWith('"') ? value.slice(1, -1) : value;
+		return acc;
+	}, {});
+}
+
+function rejected(statusCode, message) {
+	return Object.assign(new Error(message), { statusCode });
+}
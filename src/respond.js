@@ -0,0 +1,105 @@
+/**
+ * This module has helpers for sending common kinds of responses. They set the
+ * Content-Type and Content-Length and leave the body out of HEAD responses.
+ * Generated content is compressed for clients that accept it (see compress.js).
+ *
+ * Plugins get these in their init arguments and, already bound to the request,
+ * in the helpers passed to each action (see route.js).
+ */
+
+const path = require('path');
+
+const log = require(path.join(__dirname, 'log.js'));
+const errors = require(path.join(__dirname, 'errors.js'));
+const compress = require(path.join(__dirname, 'compress.js'));
+
+const redirectStatusCodes = [301, 302, 303, 307, 308];
+
+/**
+ * Send a value as JSON.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {any} value
+ * @param {number?} statusCode         200 by default
+ * @param {object?} headers            More response headers
+ */
+module.exports.json = (req, res, value, statusCode = 200, headers = {}) => {
+	compress.send(req, res, statusCode, Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, headers), JSON.stringify(value) ?? 'null');
+};
+
+/**
+ * Send an HTML page.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {string} html
+ * @param {number?} statusCode         200 by default
+ * @param {object?} headers            More response headers
+ */
+module.exports.html = (req, res, html, statusCode = 200, headers = {}) => {
+	compress.send(req, res, statusCode, Object.assign({ 'Content-Type': 'text/html; charset=utf-8' }, headers), html);
+};
+
+/**
+ * Send a redirect.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {string} location
+ * @param {number?} statusCode         301, 302 (default), 303, 307 or 308
+ */
+module.exports.redirect = (req, res, location, statusCode = 302) => {
+	res.writeHead(redirectStatusCodes.includes(statusCode) ? statusCode : 302, { 'Location': location, 'Content-Length': 0 });
+	res.end();
+};
+
+/**
+ * Send an error page. See errors.js.
+ */
+// errors.js may still be loading when this module is first required.
+module.exports.error = (...args) => errors.send(...args);
+
+/**
+ * Escape text for use in HTML content or (quoted) attribute values.
+ *
+ * @param {string} text
+ * @return {string} HTML
+ */
+module.exports.escapeHtml = (text) => text.replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'})[c]);
+
+/**
+ * Send the content of a readable stream (a file, for example). If the stream
+ * fails before anything was sent, a 500 error page is sent instead. Otherwise
+ * the response is cut off.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {stream.Readable} source
+ * @param {object?} options            {contentType, size, statusCode, headers}
+ *                                     contentType defaults to application/octet-stream. size (in bytes) is sent as
+ *                                     the Content-Length if it is known.
+ */
+module.exports.stream = (req, res, source, options = {}) => {
+	const { contentType = 'application/octet-stream', size, statusCode = 200 } = options;
+	const headers = Object.assign({ 'Content-Type': contentType }, Number.isInteger(size) ? { 'Content-Length': size } : {}, options.headers);
+
+	if (req.method == 'HEAD') {
+		source.destroy();
+		res.writeHead(statusCode, headers);
+		res.end();
+		return;
+	}
+
+	// The headers are only sent with the first data so that an error page can still be sent before that.
+	res.statusCode = statusCode;
+	Object.keys(headers).forEach(name => res.setHeader(name, headers[name]));
+	source.on('error', (err) => {
+		log.error(log.tags('Response'), `Unable to send ${req.url}: ${err.message}`);
+		if (res.headersSent) return res.destroy(err);
+		Object.keys(headers).forEach(name => res.removeHeader(name));
+		errors.send(req, res, 500);
+	});
+	res.on('close', () => source.destroy());
+	source.pipe(res);
+};
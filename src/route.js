@@ -13,11 +13,13 @@ const https = require('https');
 
 const auth = require(path.join(__dirname, 'auth.js'));
 const log = require(path.join(__dirname, 'log.js'));
+const errors = require(path.join(__dirname, 'errors.js'));
+const admin = require(path.join(__dirname, 'admin.js'));
 const index = require(path.join(__dirname, 'index.js'));
+const webdav = require(path.join(__dirname, 'webdav.js'));
 const config = require(path.join(__dirname, 'config.js'));
-
-const wwwRoot = config.wwwRoot;
-const pluginRoot = config.pluginRoot;
+const body = require(path.join(__dirname, 'body.js'));
+const respond = require(path.join(__dirname, 'respond.js'));
 
 /**
  * This functions checks the list of plugins for one that
@@ -32,6 +34,9 @@ const pluginRoot = config.pluginRoot;
  * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
  */
 module.exports.dispatch = (req, res, socket, head) => {
+	// The site (content and plugin directories) for the requested domain. This is normally set in site.js.
+	const site = req.site ??= config.getSite(req.headers.host);
+
 	// parse url to determine plugin/action
 	const parsedUrl = new url.URL(req.url, req.protocol + '://' + req.headers.host);
 	const parts = parsedUrl.pathname.split('/').filter(p => p);
@@ -41,7 +46,7 @@ module.exports.dispatch = (req, res, socket, head) => {
 		const plugin = parts.pop();
 		const pluginPath = path.join(...parts);
 
-		const find = path.join(pluginRoot, pluginPath, plugin + '.js');
+		const find = path.join(site.pluginRoot, pluginPath, plugin + '.js');
 
 		let match = plugins[find];
 
@@ -53,74 +58,306 @@ module.exports.dispatch = (req, res, socket, head) => {
 		return;
 	}
 
+	// WebDAV (see "webdav" in config.js) gets everything under its path.
+	if (webdav.handles(parsedUrl.pathname)) {
+		webdav.dispatch(req, res, parsedUrl);
+		return;
+	}
+
+	// Configured redirects are sent before anything else. Rewrites change the
+	// path this request is handled as without the client knowing.
+	if (sendRedirect(req, res, parsedUrl)) return;
+	const requestedUrl = req.url;
+	rewrite(req, parsedUrl);
+	// The "private" URL check (auth.authenticate in site.js) was for the URL as requested. It may not be private but the rewritten one may be.
+	if (req.url !== requestedUrl) auth.authenticate(req, res, () => handle(req, res, site, parsedUrl));
+	else handle(req, res, site, parsedUrl);
+};
+
+/**
+ * Send the special pages, plugin actions or (for anything else) the content
+ * for the (possibly rewritten) URL.
+ */
+function handle(req, res, site, parsedUrl) {
+	const parts = parsedUrl.pathname.split('/').filter(p => p);
+
 	// "Special Case" route handlers. Splitting and re-joining the path cleanly trims the trailing slash (if it exists)
 	switch(parts.join('/')) {
 		case config.useHttps ? 'private/status' : 'status':
+			// Sites may turn off the status page. Then this is just a regular path.
+			if (!site.statusPage) break;
 			// The log module handles parsing the daily log to generate a status page
-			log.sendStatusPage(req, res);
+			if (config.useHttps) auth.requireLogin(req, res, () => log.sendStatusPage(req, res));
+			else log.sendStatusPage(req, res);
 			return;
 		case 'account':
 			// The auth module handles account creation
 			auth.sendAccountForm(req, res);
 			return;
-		case 'map':
-			res.writeHead(302, {location: "/map.html"});
-			res.end();
+		case 'account/password':
+			// The auth module handles password changes too
+			auth.sendPasswordForm(req, res);
 			return;
-		case 'wedding':
-		case 'Wedding':
-			res.writeHead(302, {location: "https://withjoy.com/johanna-and-sam/welcome"});
-			res.end();
+		case 'account/2fa':
+			// And turning two-factor authentication on and off
+			auth.sendTwoFactorForm(req, res);
+			return;
+		case 'account/tokens':
+			// And API tokens
+			auth.sendTokensForm(req, res);
+			return;
+		case 'login':
+			auth.sendLoginForm(req, res);
+			return;
+		case 'logout':
+			auth.logout(req, res);
+			return;
+		case 'private/admin':
+			// The admin module handles approving accounts and managing users.
+			auth.requireLogin(req, res, () => admin(req, res));
+			return;
+		case 'private/admin/audit':
+			auth.requireLogin(req, res, () => admin.audit(req, res));
 			return;
 	}
 
-	if (parts.length > 1) {
-		const find = path.join(pluginRoot, parts.join(path.sep));
+	if (dispatchPlugin(req, res, site, parsedUrl, parts)) return;
 
-		// TODO: Refactor this to make it less gross.
-		let matchKey = "";
-		let matches = Object.keys(plugins).filter(pluginPath => {
-			let filterMatch = find.startsWith(pluginPath);
-			if(filterMatch) matchKey = pluginPath;
-			return filterMatch;
-		});
+	// No plugin matches route. Instead, index the directory under content/ specified by the URL path.
+	const webPath = path.normalize(decodeURIComponent(url.parse(req.url).pathname));
+	const absoluteSystemPath = path.join(site.wwwRoot, webPath);
+	index(req, res, site.wwwRoot, webPath, absoluteSystemPath);
+}
+
+/**
+ * Names a plugin exports for the framework rather than for requests. They are
+ * never run by a request.
+ */
+const lifecycleHooks = ['init', 'routes', 'webSocket'];
+
+/**
+ * Find the plugin (the deepest plugin directory) that the path is in and hand
+ * the request to it.
+ *
+ * Plugins with a route table (see compileRoutes) only get the requests that
+ * match one of their routes. Other plugins have each exported function run for
+ * "/<plugin directory>/<export name>" with the rest of the path passed along.
+ *
+ * Return true if a plugin handled the request.
+ */
+function dispatchPlugin(req, res, site, parsedUrl, parts) {
+	let found = null;
+	Object.keys(plugins).filter(dir => pluginSites[dir].pluginRoot === site.pluginRoot).forEach(dir => {
+		const mount = path.relative(site.pluginRoot, dir).split(path.sep);
+		if (mount.length > parts.length || !mount.every((part, i) => part === parts[i])) return;
+		if (!found || mount.length > found.mount.length) found = { dir, mount };
+	});
+	if (!found) return false;
 
-		if(matches.length > 0) {
-			let match = matches.pop();
+	const plugin = plugins[found.dir];
+	const rest = parts.slice(found.mount.length);
+	const query = Array.from(parsedUrl.searchParams.keys()).reduce((a, k) => { return Object.assign({ [k]: parsedUrl.searchParams.get(k) }, a); }, {});
 
-			let plugin = matchKey.split(path.sep).pop();
+	if (pluginRoutes[found.dir]) {
+		let decoded;
+		try {
+			decoded = rest.map(part => decodeURIComponent(part));
+		} catch (err) {
+			return false;
+		}
+		const match = module.exports.findRoute(pluginRoutes[found.dir], req.method, decoded);
+		if (!match) return false;
+		if (!match.route) {
+			errors.send(req, res, 405, undefined, { Allow: match.allow.join(', ') });
+			return true;
+		}
+		runRoute(req, res, match.route, query, match.params);
+		return true;
+	}
 
-			let p = find.replace(matchKey, "").split(path.sep).filter(part => part);
+	const action = rest[0];
+	if (!action || lifecycleHooks.includes(action) || !Object.hasOwn(plugin, action) || typeof plugin[action] != 'function') return false;
+	plugin[action](req, res, query, '/' + found.mount.join('/'), rest.slice(1).join('/'), getHelpers(req, res));
+	return true;
+}
 
-			if (p.length > 0) {
-				p.reverse();
-				let action = p.pop();
-				p.reverse();
-				let leftoverPath = p.join("/");
+/**
+ * The body parsing (see body.js) and response (see respond.js) helpers bound
+ * to one request. Plugin actions and route handlers get these as their last
+ * argument.
+ */
+const getHelpers = (req, res) => ({
+	readBody: (options, callback) => body.read(req, options, callback),
+	json: (value, statusCode, headers) => respond.json(req, res, value, statusCode, headers),
+	html: (html, statusCode, headers) => respond.html(req, res, html, statusCode, headers),
+	redirect: (location, statusCode) => respond.redirect(req, res, location, statusCode),
+	error: (statusCode, message, headers) => errors.send(req, res, statusCode, message, headers),
+	stream: (source, options) => respond.stream(req, res, source, options),
+});
 
-				/**
-				 * TODO: Fix this
-				 * If someone tries to run the init action, just abort.
-				 * Maybe figure out a better fix for this that allows plugins
-				 * to have a real action called init and correctly hides the framework
-				 * init from access.
-				 */
-				if (action == 'init') return false;
-
-				if(plugins[match][action]) {
-					const pluginPath = match.replace(pluginRoot, "");
-					const query = Array.from(parsedUrl.searchParams.keys()).reduce((a, k) => { return Object.assign({ [k]: parsedUrl.searchParams.get(k) }, a); }, {});
-					plugins[match][action](req, res, query, pluginPath, leftoverPath);
-					return;
-				}
-			}
+/**
+ * Check a route's login requirement then run its middleware in order and
+ * finally its handler. Each middleware function gets (req, res, next) and
+ * calls next() to go on. A middleware that sends a response itself (and
+ * doesn't call next) ends the request there.
+ */
+function runRoute(req, res, route, query, params) {
+	req.params = params;
+	const chain = route.middleware.concat((req, res) => route.handler(req, res, query, params, getHelpers(req, res)));
+	const next = (i) => chain[i](req, res, () => next(i + 1));
+	if (route.auth) auth.requireRule(req, res, route.auth, () => next(0));
+	else next(0);
+}
+
+/**
+ * Check and prepare a plugin's route table, most specific routes first.
+ *
+ * A route table is a list of routes like {method, path, handler, auth, middleware}:
+ *   method     "GET" (default), "POST", ... a list of them, or "*" for any method
+ *   path       Pattern under the plugin's own path. Segments starting with ":" capture that part of the path ("/items/:id")
+ *   handler    function (req, res, query, params, helpers) See getHelpers
+ *   auth       Who may use the route, like an access policy: true (anyone logged in) or {users, groups}. Public if left out.
+ *   middleware Functions (req, res, next) to run before the handler
+ *
+ * When more than one route matches, fixed segments win over captures, from the
+ * left ("/items/new" before "/items/:id", "/items/:id" before "/:kind/:id").
+ * Otherwise, routes are tried in the order given.
+ *
+ * @param {object[]} routes
+ * @return {object[]}
+ * @throws If a route is not usable
+ */
+module.exports.compileRoutes = (routes) => {
+	if (!Array.isArray(routes)) throw new Error('"routes" must be a list');
+	return routes.map(route => {
+		const name = `${route?.method ?? 'GET'} ${route?.path}`;
+		if (typeof route?.path != 'string' || !route.path.startsWith('/')) throw new Error(`Route ${name} needs a path starting with "/"`);
+		if (typeof route.handler != 'function') throw new Error(`Route ${name} needs a handler function`);
+		const middleware = [].concat(route.middleware ?? []);
+		if (middleware.some(fn => typeof fn != 'function')) throw new Error(`Route ${name} has middleware that is not a function`);
+		const segments = route.path.split('/').filter(part => part);
+		if (segments.some(part => part == ':')) throw new Error(`Route ${name} has a capture without a name`);
+		return {
+			methods: [].concat(route.method ?? 'GET').map(method => String(method).toUpperCase()),
+			segments,
+			auth: route.auth === true ? { authenticated: true } : route.auth || null,
+			middleware,
+			handler: route.handler,
+		};
+	}).sort((a, b) => {
+		for (let i = 0; i < Math.min(a.segments.length, b.segments.length); i++) {
+			const difference = a.segments[i].startsWith(':') - b.segments[i].startsWith(':');
+			if (difference) return difference;
 		}
+		return 0;
+	});
+};
+
+/**
+ * Find the route for a request.
+ *
+ * @param {object[]} routes From compileRoutes
+ * @param {string} method   Request method. HEAD requests are handled by GET routes.
+ * @param {string[]} parts  Decoded path segments under the plugin's path
+ * @return {object?} {route, params}, {allow} (methods) if only the method is wrong, or null if no route has the path
+ */
+module.exports.findRoute = (routes, method, parts) => {
+	const allow = [];
+	for (const route of routes) {
+		if (route.segments.length != parts.length) continue;
+		const params = {};
+		if (!route.segments.every((segment, i) => {
+			if (segment.startsWith(':')) params[segment.substring(1)] = parts[i];
+			return segment.startsWith(':') || segment === parts[i];
+		})) continue;
+
+		if (route.methods.includes('*') || route.methods.includes(method) || (method == 'HEAD' && route.methods.includes('GET'))) return { route, params };
+		route.methods.forEach(allowed => !allow.includes(allowed) && allow.push(allowed));
 	}
+	if (allow.length == 0) return null;
+	if (allow.includes('GET') && !allow.includes('HEAD')) allow.push('HEAD');
+	return { allow };
+};
 
-	// No plugin matches route. Instead, index the directory under content/ specified by the URL path.
-	const webPath = path.normalize(decodeURIComponent(url.parse(req.url).pathname));
-	const absoluteSystemPath = path.join(wwwRoot, webPath);
-	index(req, res, wwwRoot, webPath, absoluteSystemPath);
+/**
+ * Check the request against the configured redirects. The first matching rule
+ * is sent as a redirect response.
+ *
+ * Return true if a redirect was sent.
+ */
+function sendRedirect(req, res, parsedUrl) {
+	for (const rule of config.redirects) {
+		const location = matchRule(rule, req, parsedUrl);
+		if (location) {
+			const status = redirectStatusCodes.includes(rule.status) ? rule.status : 302;
+			res.writeHead(status, {location});
+			res.end();
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Check the request against the configured rewrites. The first matching rule
+ * replaces the request's URL (req.url and the given parsed URL) so the rest of
+ * the routing handles it as if the client had asked for the new path.
+ */
+function rewrite(req, parsedUrl) {
+	for (const rule of config.rewrites) {
+		const target = matchRule(rule, req, parsedUrl);
+		if (!target) continue;
+		if (!target.startsWith('/') || target.startsWith('//')) {
+			log.warning(log.tags('Route'), `Rewrites must stay on this site. Use a redirect instead: ${JSON.stringify(rule)}`);
+			continue;
+		}
+		const rewritten = new url.URL(target, parsedUrl);
+		parsedUrl.pathname = rewritten.pathname;
+		parsedUrl.search = rewritten.search;
+		req.url = rewritten.pathname + rewritten.search;
+		return;
+	}
+}
+
+const redirectStatusCodes = [301, 302, 307, 308];
+
+/**
+ * Match a redirect or rewrite rule against a request.
+ *
+ * Rules look like {from, to, match, host, ignoreCase}:
+ *   from       Path pattern. Segments starting with ":" capture that part of the path ("/photos/:year")
+ *   to         Destination. Captures are put back in by name ("/pictures/:year")
+ *   match      "exact" (default) or "prefix". For prefix matches, the rest of the path is added to the destination.
+ *   host       Only match requests for this domain
+ *   ignoreCase Match the path regardless of case
+ *
+ * The query string is carried over to the destination.
+ *
+ * Return the destination, or null if the rule does not match.
+ */
+function matchRule(rule, req, parsedUrl) {
+	if (rule.host && rule.host.toLowerCase() !== (req.headers.host ?? '').replace(/:\d+$/, '').toLowerCase()) return null;
+
+	const names = [];
+	const pattern = (rule.from ?? '').split('/').filter(part => part).map(part => {
+		if (!part.startsWith(':')) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		names.push(part.substring(1));
+		return '([^/]+)';
+	}).join('/');
+	const match = new RegExp(`^/${pattern}${rule.match === 'prefix' ? `(${pattern ? '/' : ''}.*)?` : ''}/?$`, rule.ignoreCase ? 'i' : '').exec(parsedUrl.pathname);
+	if (!match) return null;
+
+	const captures = names.reduce((acc, name, i) => Object.assign(acc, {[name]: match[i + 1]}), {});
+	let destination = (rule.to ?? '/').replace(/:(\w+)/g, (placeholder, name) => captures[name] ?? placeholder);
+	if (rule.match === 'prefix' && match[names.length + 1]) {
+		destination = destination.replace(/\/$/, '') + match[names.length + 1].replace(/^\/+/, '/');
+	}
+	// Browsers read "//host" (or "/\host") as another site. Only the rule itself may send visitors elsewhere, never the requested path.
+	if (/^[\\/][\\/]/.test(destination) && !/^[\\/][\\/]/.test(rule.to ?? '/')) return null;
+	if (parsedUrl.search) {
+		destination += (destination.includes('?') ? '&' : '?') + parsedUrl.search.substring(1);
+	}
+	return destination;
 }
 
 module.exports.sendNotFound = (req, res) => {
@@ -159,20 +396,20 @@ module.exports.sendNotFound = (req, res) => {
 		});
 
 	} else {
-		res.writeHead(404);
-		res.end("404 Not Found");
+		errors.send(req, res, 404);
 	}
 }
 
 /**
- * Scan the pluginRoot for plugin modules. Each detected
- * plugin will be imported (require('found_plugin')) and 
- * have its `init` function called. The init function is passed
- * the wwwRoot so that a the plugin may access static data
+ * Scan the pluginRoot for plugin modules. Each directory that
+ * contains a file named "plugin.js" is a plugin. See load below
+ * for what happens to each detected plugin.
  * 
- * @param {string} dir Current scan directory
+ * @param {string} dir   Current scan directory
+ * @param {object} site  The site that the plugins belong to (see config.sites)
+ * @param {object} found Detected plugin directories with their sites. Key'd on path
  */
-const scan = (dir) => {
+const scan = (dir, site, found) => {
 	// load directory
 	const nodes = fs.readdirSync(dir);
 
@@ -181,18 +418,7 @@ const scan = (dir) => {
 
 	// TODO: Fix what happens when plugin.js is found in the plugin root.
 	if(nodes.some(node => path.basename(node) === "plugin.js")) {
-		const pluginPath = path.join(dir, "plugin.js");
-		let plugin = require(pluginPath);
-		plugins[dir] = plugin;
-		if (plugin.init) {
-			plugin.init({
-				wwwRoot,
-				auth,
-				log,
-				config,
-				getResource: (req, res, resourceName) => index(req, res, dir, path.join('resources', resourceName), path.join(dir, 'resources', resourceName))
-			});
-		}
+		found[dir] = site;
 	} else {
 		// Check each file, if its a directory append to dir and pass to scan
 		nodes.forEach(node => {
@@ -208,12 +434,120 @@ const scan = (dir) => {
 				 * TODO: Hack fix to ignore node modules and app data.
 				 * Flesh this out... better... or something.
 				 */
-				scan(nextPath);
+				scan(nextPath, site, found);
+			}
+		});
+	}
+};
+
+/**
+ * Import a plugin (require('found_plugin')) and call its `init`
+ * function. The init function is passed the wwwRoot so that a
+ * the plugin may access static data
+ *
+ * The plugin's own modules are dropped from Node's require cache
+ * first so that loading a plugin again picks up any changes. If
+ * the plugin fails to load, the previously loaded version (if
+ * there is one) keeps handling requests.
+ *
+ * @param {string} dir  The plugin's directory
+ * @param {object} site The site that the plugin belongs to
+ */
+const load = (dir, site) => {
+	const pluginPath = path.join(dir, "plugin.js");
+	getPluginModules(dir).forEach(file => delete require.cache[file]);
+
+	try {
+		const plugin = require(pluginPath);
+		const routes = plugin.routes ? module.exports.compileRoutes(plugin.routes) : null;
+		if (plugin.init) {
+			plugin.init({
+				wwwRoot: site.wwwRoot,
+				site,
+				auth,
+				log,
+				config,
+				sendError: errors.send,
+				readBody: body.read,
+				json: respond.json,
+				html: respond.html,
+				redirect: respond.redirect,
+				stream: respond.stream,
+				getResource: (req, res, resourceName) => index(req, res, dir, path.join('resources', resourceName), path.join(dir, 'resources', resourceName))
+			});
+		}
+		plugins[dir] = plugin;
+		pluginRoutes[dir] = routes;
+		pluginSites[dir] = site;
+	} catch (err) {
+		log.error(log.tags('Plugin'), `Unable to load ${pluginPath}${plugins[dir] ? ' (keeping the previous version)' : ''}: ${err.stack}`);
+	}
+
+	// Remember what the plugin was loaded from and reload it when any of that changes.
+	pluginFiles[dir] = getPluginModules(dir).reduce((acc, file) => {
+		acc[file] = getModifiedTime(file);
+		return acc;
+	}, { [pluginPath]: getModifiedTime(pluginPath) });
+	Object.keys(pluginFiles[dir]).forEach(file => {
+		if (watchedPluginFiles.includes(file)) return;
+		watchedPluginFiles.push(file);
+		fs.watchFile(file, { persistent: false, interval: 2000 }, (current, previous) => {
+			if (current.mtimeMs !== previous.mtimeMs && plugins[dir]) {
+				log.info(log.tags('Reload', 'Plugin'), `${file} changed`);
+				load(dir, pluginSites[dir]);
 			}
 		});
+	});
+};
+
+// A plugin's own modules (not its node_modules) that are in Node's require cache.
+const getPluginModules = (dir) => Object.keys(require.cache).filter(file => file.startsWith(dir + path.sep) && !file.includes(`${path.sep}node_modules${path.sep}`));
+
+const getModifiedTime = (file) => {
+	try {
+		return fs.statSync(file).mtimeMs;
+	} catch (err) {
+		return null;
 	}
 };
 
+/**
+ * Scan every site's plugin directory. New plugins are loaded, plugins that
+ * changed since they were loaded are loaded again and plugins that are gone are
+ * dropped. Unchanged plugins are left alone.
+ */
+module.exports.reload = () => {
+	const found = {};
+	// Sites that share a plugin directory share the plugin instances too.
+	new Set(config.allSites().map(site => site.pluginRoot)).forEach(pluginRoot => {
+		const site = config.allSites().find(site => site.pluginRoot === pluginRoot);
+		if (!fs.existsSync(pluginRoot)) {
+			log.warning(log.tags('Plugin'), `Plugin directory for ${site.name} site not found: ${pluginRoot}`);
+			return;
+		}
+		try {
+			scan(pluginRoot, site, found);
+		} catch (err) {
+			log.error(log.tags('Plugin'), `Unable to scan ${pluginRoot}: ${err.message}`);
+		}
+	});
+
+	Object.keys(plugins).filter(dir => !found[dir]).forEach(dir => {
+		log.info(log.tags('Plugin'), `Removed ${dir}`);
+		delete plugins[dir];
+		delete pluginRoutes[dir];
+	});
+
+	Object.keys(found).filter(dir => {
+		if (!plugins[dir] || pluginSites[dir].wwwRoot !== found[dir].wwwRoot) return true;
+		return Object.keys(pluginFiles[dir]).some(file => getModifiedTime(file) !== pluginFiles[dir][file]);
+	}).forEach(dir => load(dir, found[dir]));
+};
+
 const plugins = {}; // All modules found by scanning the plugin directory. Key'd on path
-scan(pluginRoot);
+const pluginRoutes = {}; // Compiled route tables (see compileRoutes) of plugins that have one. Key'd on path
+const pluginSites = {}; // The site each plugin was loaded for. Key'd on path
+const pluginFiles = {}; // Modification times of the files each plugin was loaded from. Key'd on path
+const watchedPluginFiles = [];
+module.exports.reload();
 log.info(log.tags('Startup'), `found ${Object.keys(plugins).length} plugin${Object.keys(plugins).length > 1 ? 's' : ''}`);
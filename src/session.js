@@ -0,0 +1,171 @@
+/**
+ * This module manages login sessions for the optional login form (see
+ * "sessions" in config.js). It is an alternative to HTTP Basic authentication
+ * that allows logging out.
+ *
+ * A session cookie holds a random session id and an HMAC signature of that id.
+ * The signing secret is created the first time it is needed and saved in the
+ * administration directory. Sessions are also recorded on the server (saved
+ * next to the secret) so that they can expire and be revoked. Only a hash of
+ * each session id is saved.
+ *
+ * If "pathToSessions" or "pathToSessionSecret" change when the config is
+ * reloaded, they are read again from the new place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash, createHmac, randomBytes, timingSafeEqual } = require('crypto');
+
+const log = require(path.join(__dirname, 'log.js'));
+const config = require(path.join(__dirname, 'config.js'));
+
+const cookieName = 'session';
+
+let secret = null;
+let secretPath = null;
+let sessions = null; // Key'd on session id hash
+let sessionsPath = null;
+
+function getSecret() {
+	if (secret && secretPath === config.pathToSessionSecret) return secret;
+	secretPath = config.pathToSessionSecret;
+	try {
+		secret = fs.readFileSync(config.pathToSessionSecret);
+	} catch (err) {
+		if (err.code != 'ENOENT') throw err;
+		secret = randomBytes(32);
+		fs.writeFileSync(config.pathToSessionSecret, secret, { mode: 0o600 });
+		log.info(log.tags('Session'), `Created a new session secret in ${config.pathToSessionSecret}`);
+	}
+	return secret;
+}
+
+function getSessions() {
+	if (sessions && sessionsPath === config.pathToSessions) return sessions;
+	sessionsPath = config.pathToSessions;
+	sessions = {};
+	try {
+		const saved = JSON.parse(fs.readFileSync(config.pathToSessions, 'utf8'));
+		Object.keys(saved).filter(key => saved[key].expires > Date.now()).forEach(key => sessions[key] = saved[key]);
+	} catch (err) {
+		if (err.code != 'ENOENT') log.error(log.tags('Session'), `Unable to load sessions. Everyone will need to log in again. ${err.message}`);
+	}
+	return sessions;
+}
+
+/**
+ * Write the sessions to the disk. Only one write runs at a time. Changes made
+ * during a write are saved by another write right after.
+ */
+let saving = false;
+let changedWhileSaving = false;
+function save() {
+	if (saving) {
+		changedWhileSaving = true;
+		return;
+	}
+	saving = true;
+	const current = getSessions();
+	const filePath = sessionsPath;
+	Object.keys(current).filter(key => current[key].expires <= Date.now()).forEach(key => delete current[key]);
+
+	const tempPath = `${filePath}.${randomBytes(6).toString('hex')}.tmp`;
+	fs.writeFile(tempPath, JSON.stringify(current), { mode: 0o600 }, (err) => {
+		const done = (err) => {
+			if (err) log.error(log.tags('Session'), `Unable to save sessions: ${err.message}`);
+			saving = false;
+			if (changedWhileSaving) {
+				changedWhileSaving = false;
+				save();
+			}
+		};
+		if (err) return done(err);
+		fs.rename(tempPath, filePath, done);
+	});
+}
+
+const sign = (id) => createHmac('sha256', getSecret()).update(id).digest('base64url');
+const hash = (id) => createHash('sha256').update(id).digest('base64url');
+
+/**
+ * The session id from the request's cookie if its signature is valid.
+ */
+function getSessionId(req) {
+	const cookie = (req.headers.cookie ?? '').split(';').map(part => part.trim()).find(part => part.startsWith(cookieName + '='));
+	if (!cookie) return null;
+
+	const [id, signature] = cookie.substring(cookieName.length + 1).split('.');
+	if (!id || !signature) return null;
+	const expected = Buffer.from(sign(id));
+	const actual = Buffer.from(signature);
+	return expected.length === actual.length && timingSafeEqual(expected, actual) ? id : null;
+}
+
+/**
+ * Get the logged in user for a request with a session cookie.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {object} site               The request's site. Sessions only work on the site they were created for.
+ * @return {string?} User name
+ */
+module.exports.getUser = (req, site) => {
+	if (!config.sessions || !req.headers.cookie) return null;
+	const id = getSessionId(req);
+	const session = id && getSessions()[hash(id)];
+	if (!session || session.expires <= Date.now() || session.credentials !== site.pathToUserCredentials) return null;
+	return session.user;
+};
+
+/**
+ * Start a session and send its cookie with the response. Call this before
+ * writing the response head.
+ *
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {object} site
+ * @param {string} user
+ * @param {boolean} remember           Keep the cookie after the browser is closed
+ */
+module.exports.create = (res, site, user, remember) => {
+	const id = randomBytes(32).toString('base64url');
+	const lifetime = remember ? config.rememberedSessionLifetime : config.sessionLifetime;
+	getSessions()[hash(id)] = { user, credentials: site.pathToUserCredentials, expires: Date.now() + lifetime * 1000 };
+	save();
+
+	const attributes = ['Path=/', 'HttpOnly', 'SameSite=Lax'];
+	if (config.useHttps) attributes.push('Secure');
+	if (remember) attributes.push(`Max-Age=${lifetime}`);
+	res.setHeader('Set-Cookie', `${cookieName}=${id}.${sign(id)}; ${attributes.join('; ')}`);
+};
+
+/**
+ * End the request's session (if it has one) and clear its cookie. Call this
+ * before writing the response head.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ */
+module.exports.destroy = (req, res) => {
+	const id = getSessionId(req);
+	if (id && getSessions()[hash(id)]) {
+		delete getSessions()[hash(id)];
+		save();
+	}
+	res.setHeader('Set-Cookie', `${cookieName}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${config.useHttps ? '; Secure' : ''}`);
+};
+
+/**
+ * End all of a user's sessions (after their password changes or their account
+ * is locked or deleted).
+ *
+ * @param {object} site
+ * @param {string} user
+ */
+module.exports.revokeUser = (site, user) => {
+	const current = getSessions();
+	const revoked = Object.keys(current).filter(key => current[key].user === user && current[key].credentials === site.pathToUserCredentials);
+	if (revoked.length === 0) return;
+	revoked.forEach(key => delete current[key]);
+	save();
+	log.info(log.tags('Session'), `Ended ${revoked.length} session${revoked.length > 1 ? 's' : ''} for ${user}`);
+};
@@ -21,15 +21,36 @@ const http = require('http');
  */
 const auth = require(path.join(__dirname, 'auth.js'));
 const log = require(path.join(__dirname, 'log.js'));
-const dispatch = require(path.join(__dirname, 'route.js')).dispatch;
+const cache = require(path.join(__dirname, 'cache.js'));
+const groups = require(path.join(__dirname, 'groups.js'));
+const route = require(path.join(__dirname, 'route.js'));
+const dispatch = route.dispatch;
 const config = require(path.join(__dirname, 'config.js'));
 const tests = require(path.join(__dirname, 'tests.js'));
 
-tests();
-if (tests.fail) {
-	log.error("Test Failure.")
-	process.exit(1);
-}
+/**
+ * Reload administration/config.json, user credentials and changed plugins
+ * without restarting.
+ *
+ * This happens automatically when config.json changes (credentials files and
+ * plugins are watched by their own modules) or on demand with
+ * `kill -HUP <pid>`. Anything that fails to reload is logged and the previous
+ * version stays in use.
+ */
+const reload = () => {
+	config.reload();
+	cache.reload();
+	auth.reload();
+	groups.reload();
+	route.reload();
+};
+process.on('SIGHUP', () => {
+	log.info(log.tags('Reload'), 'SIGHUP received. Reloading.');
+	reload();
+});
+fs.watchFile(config.configPath, { persistent: false, interval: 2000 }, (current, previous) => {
+	if (current.mtimeMs !== previous.mtimeMs) reload();
+});
 
 /**
  * Basic http endpoint.
@@ -38,14 +59,17 @@ if (tests.fail) {
  */
 const httpPort = config.httpPort;
 const httpServer = http.createServer(function (req, res) {
+	// Each domain may be a separate site with its own content, plugins and accounts.
+	req.site = config.getSite(req.headers.host);
+
 	if (config.useHttps) {
 		let redirectLocation = "https://" + (req.headers.host ?? '') + (req.url ?? '');
-		let logData = JSON.stringify({port: httpPort, method: req.method, user: auth.currentUser(req), from: req.socket.remoteAddress, for: `${req.headers.host}${req.url}`, redirectTo: redirectLocation});
+		let logData = JSON.stringify({port: httpPort, method: req.method, user: auth.currentUser(req), from: req.socket.remoteAddress, for: `${req.headers.host}${req.url}`, site: req.site.name, redirectTo: redirectLocation});
 		log.info(log.tags(log.ansi(auth.currentUser(req), log.ansi.magenta, log.ansi.bold), 'Request', log.ansi(decodeURIComponent(path.basename(req.url)), log.ansi.blue), log.ansi('Redirect', log.ansi.green)), decodeURIComponent(req.url), log.ansi(logData, log.ansi.conceal));
 		res.writeHead(302, {'Location': redirectLocation});
 		res.end();
 	} else {
-		let logData = JSON.stringify({port: httpPort, method: req.method, user: auth.currentUser(req), from: req.socket.remoteAddress, for: `${req.headers.host}${req.url}`});
+		let logData = JSON.stringify({port: httpPort, method: req.method, user: auth.currentUser(req), from: req.socket.remoteAddress, for: `${req.headers.host}${req.url}`, site: req.site.name});
 		log.info(log.tags(log.ansi(auth.currentUser(req), log.ansi.magenta, log.ansi.bold), 'Request', log.ansi(decodeURIComponent(path.basename(req.url)), log.ansi.blue)), decodeURIComponent(req.url), log.ansi(logData, log.ansi.conceal));
 
 		/** auth.js will abort requests for protected resources because
@@ -56,7 +80,8 @@ const httpServer = http.createServer(function (req, res) {
 		});
 	}
 });
-httpServer.listen(httpPort);
+
+let httpsServer = null;
 
 /**
  * To make the basic setup as simple as possible (by avoiding dealing with
@@ -84,8 +109,10 @@ if (config.useHttps) {
 	 * This is the secure entrypoint
 	 */
 	const httpsPort = config.httpsPort;
-	const httpsServer = https.createServer(httpsOptions, function (req, res) {
-		let logData = JSON.stringify({port: httpsPort, method: req.method, user: auth.currentUser(req) ?? "no user info", from: req.socket.remoteAddress, for: `${req.headers.host}${req.url}`});
+	httpsServer = https.createServer(httpsOptions, function (req, res) {
+		req.site = config.getSite(req.headers.host);
+
+		let logData = JSON.stringify({port: httpsPort, method: req.method, user: auth.currentUser(req) ?? "no user info", from: req.socket.remoteAddress, for: `${req.headers.host}${req.url}`, site: req.site.name});
 		log.info(log.tags(log.ansi(auth.currentUser(req), log.ansi.magenta, log.ansi.bold), 'Request', log.ansi(decodeURIComponent(path.basename(req.url)), log.ansi.blue)), decodeURIComponent(req.url), log.ansi(logData, log.ansi.conceal));
 
 		/**
@@ -98,6 +125,18 @@ if (config.useHttps) {
 		});
 	});
 	httpsServer.on(log.ansi('Upgrade', log.ansi.green), (req, socket, head) => dispatch(req, null, socket, head));
-	httpsServer.listen(httpsPort);
 }
 
+/**
+ * Some tests make requests so they finish before the servers start taking
+ * requests of their own.
+ */
+tests(() => {
+	if (tests.fail) {
+		log.error("Test Failure.")
+		process.exit(1);
+	}
+
+	httpServer.listen(httpPort);
+	httpsServer?.listen(config.httpsPort);
+});
@@ -0,0 +1,227 @@
+/**
+ * This module handles layout templates and server-side includes for HTML
+ * content.
+ *
+ * Templating is opt-in. Only HTML files that contain at least one directive are
+ * processed. Everything else is served exactly as it is on the disk.
+ *
+ * Directives are HTML comments in the style of Apache's server-side includes:
+ *
+ *   <!--#layout -->                     Wrap this page in the closest _layout.html
+ *   <!--#layout file="other.html" -->   Wrap this page in a specific layout (relative to this file)
+ *   <!--#content -->                    (In a layout) Where the page goes
+ *   <!--#include file="nav.html" -->    Insert another file (relative to this file)
+ *   <!--#include virtual="/nav.html" --> Insert another file (relative to the site root)
+ *   <!--#set var="title" value="Home" --> Set a variable
+ *   <!--#echo var="title" -->           Insert a variable
+ *
+ * Available variables are "title", "user" (the logged in user), "path" (of the
+ * requested page) and "mtime" (when the requested page was last modified) plus
+ * anything set with a set directive. Page variables override layout variables.
+ *
+ * The closest _layout.html is found by looking in the page's directory then
+ * each parent directory up to the root, the same way .authorized_users is.
+ */
+
+const path = require('path');
+
+const auth = require(path.join(__dirname, 'auth.js'));
+const cache = require(path.join(__dirname, 'cache.js'));
+const log = require(path.join(__dirname, 'log.js'));
+const respond = require(path.join(__dirname, 'respond.js'));
+
+// Limit for includes inside of includes. Mostly to stop a file from including itself forever.
+const maxIncludeDepth = 8;
+
+const directivePattern = /<!--#(layout|content|include|set|echo)\b((?:\s+\w+="[^"]*")*)\s*-->/g;
+
+/**
+ * Whether the given HTML source uses any template directives.
+ *
+ * @param {string|Buffer} source
+ * @return {boolean}
+ */
+module.exports.hasDirectives = (source) => new RegExp(directivePattern.source).test(source.toString());
+
+/**
+ * Process the directives in an HTML page.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {string} root                The absolute path to the site's base folder.
+ * @param {string} absoluteSystemPath  The page
+ * @param {fs.Stats} stats             The page's stats
+ * @param {string} source              The page's content
+ * @param {object} pageVariables       Extra variables for the page, like an error's status
+ * @param {function} callback          (html)
+ */
+module.exports.render = (req, root, absoluteSystemPath, stats, source, pageVariables, callback) => {
+	const variables = Object.assign(getVariables(req, root, absoluteSystemPath, stats), pageVariables);
+	const dir = path.dirname(absoluteSystemPath);
+
+	expandIncludes(req, source, dir, root, 0, (page) => {
+		page = applySets(page, variables);
+
+		const layout = /<!--#layout\b((?:\s+\w+="[^"]*")*)\s*-->/.exec(page);
+		if (!layout) return callback(applyEchoes(page, variables));
+
+		page = page.replace(/<!--#layout\b((?:\s+\w+="[^"]*")*)\s*-->/g, '');
+		const layoutFile = parseAttributes(layout[1]).file;
+		const find = layoutFile ? (cb) => cb(path.resolve(dir, layoutFile)) : (cb) => findLayout(root, dir, cb);
+		find((layoutPath) => {
+			wrap(req, page, layoutPath, root, variables, callback);
+		});
+	});
+};
+
+/**
+ * Wrap generated content (like rendered Markdown) in the closest _layout.html.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {string} root                The absolute path to the site's base folder.
+ * @param {string} absoluteSystemPath  The requested file
+ * @param {fs.Stats} stats             The requested file's stats
+ * @param {string} content             HTML to put in the layout
+ * @param {object} pageVariables       Variables for the layout, like title
+ * @param {function} callback          (html) html is null if there is no layout
+ */
+module.exports.wrap = (req, root, absoluteSystemPath, stats, content, pageVariables, callback) => {
+	const variables = Object.assign(getVariables(req, root, absoluteSystemPath, stats), pageVariables);
+	findLayout(root, path.dirname(absoluteSystemPath), (layoutPath) => {
+		if (!layoutPath) return callback(null);
+		// Generated content is not scanned for directives.
+		const placeholder = `\u0000content\u0000`;
+		wrap(req, placeholder, layoutPath, root, variables, (html) => callback(html.replace(placeholder, () => content)));
+	});
+};
+
+function getVariables(req, root, absoluteSystemPath, stats) {
+	return {
+		title: path.basename(absoluteSystemPath),
+		user: auth.currentUser(req) ?? '',
+		path: '/' + path.relative(root, absoluteSystemPath).split(path.sep).join('/'),
+		mtime: stats.mtime.toLocaleDateString("en-US", {month: "short", day: "2-digit", year: "numeric"}),
+	};
+}
+
+/**
+ * Put the page into the layout's content directive. Variables set in the
+ * layout don't replace variables set by the page.
+ */
+function wrap(req, page, layoutPath, root, variables, callback) {
+	if (!layoutPath) return callback(applyEchoes(page, variables));
+
+	readWithinRoot(req, root, layoutPath, (err, layoutSource) => {
+		if (err) {
+			log.warning(log.tags('Template'), `Unable to load layout ${layoutPath}: ${err.message}`);
+			return callback(applyEchoes(page, variables));
+		}
+
+		expandIncludes(req, layoutSource, path.dirname(layoutPath), root, 0, (layout) => {
+			const layoutVariables = {};
+			layout = applySets(layout, layoutVariables);
+			Object.keys(layoutVariables).forEach(name => variables[name] = variables[name] || layoutVariables[name]);
+
+			const html = layout.replace(/<!--#content\s*-->/, () => `\u0000content\u0000`);
+			callback(applyEchoes(html, variables).replace(`\u0000content\u0000`, () => applyEchoes(page, variables)));
+		});
+	});
+}
+
+/**
+ * Find the closest _layout.html starting at dir and moving up to the root.
+ *
+ * @param {function} callback (layoutPath) layoutPath is null if there isn't one
+ */
+function findLayout(root, dir, callback) {
+	const layoutPath = path.join(dir, '_layout.html');
+	cache.lstat(layoutPath, (err, stats) => {
+		if (!err && stats.isFile()) return callback(layoutPath);
+		if (path.relative(root, dir) === '' || dir === path.dirname(dir)) return callback(null);
+		findLayout(root, path.dirname(dir), callback);
+	});
+}
+
+/**
+ * Replace include directives with the content of the included files. Includes
+ * are expanded recursively.
+ */
+function expandIncludes(req, source, dir, root, depth, callback) {
+	const includes = [...source.matchAll(/<!--#include\b((?:\s+\w+="[^"]*")*)\s*-->/g)];
+	if (includes.length === 0) return callback(source);
+
+	const results = [];
+	let remaining = includes.length;
+	const done = () => {
+		if (--remaining > 0) return;
+		let n = 0;
+		callback(source.replace(/<!--#include\b((?:\s+\w+="[^"]*")*)\s*-->/g, () => results[n++]));
+	};
+
+	includes.forEach((match, n) => {
+		const attributes = parseAttributes(match[1]);
+		const includePath = attributes.virtual ? path.join(root, attributes.virtual) : path.resolve(dir, attributes.file ?? '');
+		const failed = (reason) => {
+			log.warning(log.tags('Template'), `Include failed (${match[0]}): ${reason}`);
+			results[n] = `<!-- include failed -->`;
+			done();
+		};
+
+		if (depth >= maxIncludeDepth) return failed('Too many nested includes');
+
+		readWithinRoot(req, root, includePath, (err, included) => {
+			if (err) return failed(err.message);
+			expandIncludes(req, included, path.dirname(includePath), root, depth + 1, (expanded) => {
+				results[n] = expanded;
+				done();
+			});
+		});
+	});
+}
+
+/**
+ * Read a file for a template. Only files under the root that are not on the
+ * deny list and that the reader may read (see auth.canRead) may be used.
+ */
+function readWithinRoot(req, root, absoluteSystemPath, callback) {
+	// index.js uses this module so it can't be required before this module has loaded.
+	const index = require(path.join(__dirname, 'index.js'));
+
+	const relativePath = path.relative(root, absoluteSystemPath);
+	if (relativePath.startsWith('..') || path.isAbsolute(relativePath) || index.isDenied(relativePath)) {
+		return callback(new Error(`${absoluteSystemPath} is not available`));
+	}
+
+	auth.canRead(req, root, absoluteSystemPath, (canRead) => {
+		if (!canRead) return callback(new Error(`${absoluteSystemPath} is not available to ${auth.verifiedUser(req) ?? 'anonymous users'}`));
+		cache.lstat(absoluteSystemPath, (err, stats) => {
+			if (err) return callback(err);
+			if (!stats.isFile()) return callback(new Error(`${absoluteSystemPath} is not a file`));
+			cache.readFile(absoluteSystemPath, stats, (err, data) => callback(err, data?.toString()));
+		});
+	});
+}
+
+/**
+ * Remove set directives from the source and record their values.
+ */
+function applySets(source, variables) {
+	return source.replace(/<!--#set\b((?:\s+\w+="[^"]*")*)\s*-->/g, (_, attributeText) => {
+		const attributes = parseAttributes(attributeText);
+		if (attributes.var) variables[attributes.var] = attributes.value ?? '';
+		return '';
+	});
+}
+
+/**
+ * Replace echo directives with the (HTML escaped) variable values.
+ */
+function applyEchoes(source, variables) {
+	return source.replace(/<!--#echo\b((?:\s+\w+="[^"]*")*)\s*-->/g, (_, attributeText) => respond.escapeHtml(String(variables[parseAttributes(attributeText).var] ?? '')));
+}
+
+function parseAttributes(text) {
+	return [...(text ?? '').matchAll(/(\w+)="([^"]*)"/g)].reduce((acc, [, name, value]) => {
+		acc[name] = value;
+		return acc;
+	}, {});
+}
@@ -3,29 +3,85 @@
  *
  * Tests are expected to be run automatically on start and abort the server if any fail.
  */
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const { Readable } = require("stream");
 const path = require("path");
+const { pbkdf2Sync } = require("crypto");
 const auth = require(path.join(__dirname, "auth.js"));
 const log = require(path.join(__dirname, "log.js"));
 const route = require(path.join(__dirname, "route.js"));
 const config = require(path.join(__dirname, "config.js"));
+const index = require(path.join(__dirname, "index.js"));
+const markdown = require(path.join(__dirname, "markdown.js"));
+const groups = require(path.join(__dirname, "groups.js"));
+const upload = require(path.join(__dirname, "upload.js"));
+const totp = require(path.join(__dirname, "totp.js"));
+const tokens = require(path.join(__dirname, "tokens.js"));
+const compress = require(path.join(__dirname, "compress.js"));
+const cache = require(path.join(__dirname, "cache.js"));
+const lockout = require(path.join(__dirname, "lockout.js"));
+const session = require(path.join(__dirname, "session.js"));
+const multipart = require(path.join(__dirname, "multipart.js"));
+const audit = require(path.join(__dirname, "audit.js"));
+const errors = require(path.join(__dirname, "errors.js"));
+const webdav = require(path.join(__dirname, "webdav.js"));
 
-module.exports = () => {
-	log("The web server...");
-	module.exports.tests.forEach((test) => {
-		log(`\t • ${test.label} ${test.result ? "✔️" : "❌"}`);
+module.exports = (callback) => {
+	runTests(module.exports.tests.slice(), () => {
+		log("The web server...");
+		module.exports.tests.forEach((test) => {
+			log(`\t • ${test.label} ${test.result ? "✔️" : "❌"}`);
+		});
+		fs.rmSync(tmp, { recursive: true, force: true });
+		callback?.();
 	});
 };
 module.exports.tests = [];
 
+// The test that is running. Failed assertions are counted against it.
+let current = null;
+
+/**
+ * Tests that take an argument are asynchronous and must call it when they are
+ * done. They fail if that takes longer than testTimeout.
+ */
+const testTimeout = 5000;
+
 function it(name, test) {
 	test.label = name;
 	test.result = true;
-	test();
 	module.exports.tests.push(test);
 }
 
+function runTests(tests, callback) {
+	const [test, ...remaining] = tests;
+	if (!test) return callback();
+
+	current = test;
+	if (test.length == 0) {
+		test();
+		return runTests(remaining, callback);
+	}
+
+	let finished = false;
+	const done = () => {
+		if (finished) return;
+		finished = true;
+		clearTimeout(timer);
+		runTests(remaining, callback);
+	};
+	const timer = setTimeout(() => {
+		log.error(`"${test.label}" timed out.`);
+		fail();
+		done();
+	}, testTimeout);
+	test(done);
+}
+
 function fail() {
-	arguments.callee.caller.result = false;
+	current.result = false;
 	module.exports.fail = true;
 }
 
@@ -35,6 +91,110 @@ function assert(condition) {
 	}
 }
 
+// Files written by tests go here. It is removed once all of the tests are done.
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "web-host-tests-"));
+
+/**
+ * Serve the given directory with index.js, make one request to it and pass the
+ * response and its whole body to the callback.
+ */
+function request(root, options, callback) {
+	serve((req, res) => {
+		req.site = config.defaultSite;
+		const webPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+		index(req, res, root, webPath, path.join(root, webPath));
+	}, options, callback);
+}
+
+/**
+ * Make one request to the given request handler. options are http.request's
+ * plus the body to send.
+ */
+function serve(handler, options, callback) {
+	const { body, ...requestOptions } = options;
+	const server = http.createServer(handler);
+	server.listen(0, "127.0.0.1", () => {
+		http.request({ host: "127.0.0.1", port: server.address().port, agent: false, ...requestOptions }, (res) => {
+			const chunks = [];
+			res.on("data", (chunk) => chunks.push(chunk));
+			res.on("end", () => {
+				server.close();
+				callback(res, Buffer.concat(chunks));
+			});
+		}).end(body);
+	});
+}
+
+/**
+ * Reload the config from the given text instead of administration/config.json,
+ * run the test, then go back to the real config.
+ */
+function withConfig(text, test) {
+	const configPath = config.configPath;
+	config.configPath = path.join(tmp, "config.json");
+	fs.writeFileSync(config.configPath, text);
+	try {
+		test(config.reload());
+	} finally {
+		config.configPath = configPath;
+		config.reload();
+	}
+}
+
+/**
+ * Change some settings until the returned function is called to put them back.
+ */
+function useSettings(settings) {
+	const previous = Object.keys(settings).reduce((acc, key) => Object.assign(acc, { [key]: config[key] }), {});
+	Object.assign(config, settings);
+	return () => Object.assign(config, previous);
+}
+
+/**
+ * Check the condition every few milliseconds until it is true.
+ */
+function waitFor(condition, callback) {
+	if (condition()) return callback();
+	setTimeout(() => waitFor(condition, callback), 20);
+}
+
+/**
+ * Make a site with its own content directory and accounts, all in tmp. Every
+ * user's password is "pw".
+ */
+function createSite(name, users, callback) {
+	const site = {
+		name,
+		wwwRoot: path.join(tmp, name),
+		pathToUserCredentials: path.join(tmp, `${name}-credentials.txt`),
+		pathToUserAccountRequests: path.join(tmp, `${name}-requests.txt`),
+		pathToGroups: path.join(tmp, `${name}-groups.txt`),
+		admins: [],
+	};
+	fs.mkdirSync(site.wwwRoot);
+	const salt = "salt";
+	const pwHash = pbkdf2Sync("pw", salt, 10000, 64, "sha512").toString("base64");
+	auth.updateCredentials(site, () => users.map((name) => ({ name, salt, pwHash, locked: false, fields: {} })), (err) => {
+		assert(!err);
+		callback(site);
+	});
+}
+
+const basic = (name, password = "pw") => `Basic ${Buffer.from(`${name}:${password}`).toString("base64")}`;
+
+/**
+ * Make each request in turn with send (like request) and check that it gets the
+ * expected status.
+ */
+function expectStatuses(send, checks, callback) {
+	const [check, ...remaining] = checks;
+	if (!check) return callback();
+	send(check.request, (res) => {
+		assert(res.statusCode == check.status);
+		expectStatuses(send, remaining, callback);
+	});
+}
+
 it('should not let requests run a plugin\'s "init" method', () => {
 	const args = {
 		req: {
@@ -51,3 +211,693 @@ it('should not let requests run a plugin\'s "init" method', () => {
 	};
 	route.dispatch(args.req, args.res);
 });
+
+it("should hide dotfiles but serve .well-known", () => {
+	const denyList = config.denyList;
+	config.denyList = ["!.well-known", ".*", "*~"];
+	assert(index.isDenied("/.git/config"));
+	assert(index.isDenied("/notes.txt~"));
+	assert(!index.isDenied("/.well-known/acme-challenge/abc123"));
+	assert(index.isDenied("/.well-known/.access"));
+	config.denyList = denyList;
+});
+
+it("should render Markdown as HTML without passing raw HTML through", () => {
+	const html = markdown("# Title\n\nSome *emphasis* and <script>\n\n- one\n- two");
+	assert(html.includes("<h1>Title</h1>"));
+	assert(html.includes("<em>emphasis</em>"));
+	assert(html.includes("&lt;script&gt;"));
+	assert(html.includes("<ul>\n<li>one</li>\n<li>two</li>\n</ul>"));
+});
+
+it("should send configured redirects with captures and the query string", () => {
+	const redirects = config.redirects;
+	config.redirects = [{ from: "/photos/:year", to: "/pictures/:year", match: "prefix", status: 301 }];
+	let status, headers;
+	route.dispatch(
+		{ url: "/photos/2020/beach.jpg?size=large", protocol: "http", headers: { host: "example.com" } },
+		{ writeHead: (code, h) => { status = code; headers = h; }, end: () => {} }
+	);
+	config.redirects = redirects;
+	assert(status == 301);
+	assert(headers?.location == "/pictures/2020/beach.jpg?size=large");
+});
+
+it("should not let a prefix redirect send visitors to another site", () => {
+	const redirects = config.redirects;
+	config.redirects = [{ from: "/blog", to: "/", match: "prefix" }];
+	const locations = [];
+	["/blog//evil.com", "/blog/%5Cevil.com"].forEach(url => route.dispatch(
+		{ url, protocol: "http", headers: { host: "example.com" } },
+		{ writeHead: (code, h) => locations.push(h?.location), end: () => {} }
+	));
+	config.redirects = redirects;
+	assert(locations[0] == "/evil.com");
+	assert(!locations.some(location => /^[\\/][\\/]/.test(location ?? "")));
+});
+
+it('should allow listed users and any logged in user for "*"', () => {
+	const site = { pathToGroups: "/nonexistent/groups.txt" };
+	assert(groups.isAllowed(site, "alice", ["*"]));
+	assert(!groups.isAllowed(site, undefined, ["*"]));
+	assert(groups.isAllowed(site, "alice", ["bob", "alice"]));
+	assert(!groups.isAllowed(site, "alice", ["@family"]));
+});
+
+it("should not let templates include protected files for readers who may not read them", () => {
+	const site = { pathToGroups: "/nonexistent/groups.txt" };
+	const protectedPolicy = { users: ["alice"] };
+	assert(!auth.isReadAllowed(site, undefined, protectedPolicy));
+	assert(!auth.isReadAllowed(site, "mallory", protectedPolicy));
+	assert(auth.isReadAllowed(site, "alice", protectedPolicy));
+	assert(auth.isReadAllowed(site, undefined, { public: true }));
+	assert(!auth.isReadAllowed(site, "alice", { authenticated: false }));
+	assert(!auth.isReadAllowed(site, "alice", Object.assign({}, protectedPolicy, { users: [] })));
+});
+
+it("should make uploaded file names safe to save", () => {
+	assert(upload.sanitizeFileName("C:\\Users\\me\\photo.jpg") == "photo.jpg");
+	assert(upload.sanitizeFileName("../../etc/passwd") == "passwd");
+	assert(upload.sanitizeFileName(".bashrc") == "bashrc");
+	assert(upload.sanitizeFileName("a<b>?.jpg") == "a_b__.jpg");
+	assert(upload.sanitizeFileName("...") == "");
+	assert(Buffer.byteLength(upload.sanitizeFileName("é".repeat(300) + ".jpg")) <= 200);
+});
+
+it("should not find accounts for names of object properties", () => {
+	const accounts = auth.getAccounts(config.defaultSite);
+	assert(accounts["constructor"] === undefined);
+	assert(accounts["__proto__"] === undefined);
+	assert(accounts["toString"] === undefined);
+});
+
+it("should generate and accept RFC 6238 one-time codes", () => {
+	// The SHA1 test vector from RFC 6238 ("12345678901234567890" at 59 seconds is 94287082)
+	const secret = totp.encodeBase32(Buffer.from("12345678901234567890"));
+	assert(secret == "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+	assert(totp.decodeBase32(secret.toLowerCase()).toString() == "12345678901234567890");
+	assert(totp.generate(secret, 59 * 1000) == "287082");
+	assert(totp.verify(secret, "287082", 59 * 1000) === 1);
+	assert(totp.verify(secret, "287082", 89 * 1000) === 1);
+	assert(totp.verify(secret, "287082", 200 * 1000) === null);
+	assert(totp.verify(secret, "28708", 59 * 1000) === null);
+});
+
+it("should only accept API tokens inside their path scope", () => {
+	const scope = tokens.normalizeScope("/backups/");
+	assert(scope == "/backups");
+	assert(tokens.normalizeScope("backups") === null);
+	assert(tokens.isInScope(scope, "/backups"));
+	assert(tokens.isInScope(scope, "/backups/2024/latest.tar"));
+	assert(!tokens.isInScope(scope, "/backups-old/latest.tar"));
+	assert(!tokens.isInScope(scope, "/backups/%2e%2e/private/secret.txt"));
+	assert(!tokens.isInScope(scope, "/backups/%E0%A4%A"));
+	assert(tokens.isInScope(null, "/anything"));
+	assert(tokens.isInScope(scope, tokens.getRequestPath({ url: "//backups/x" })));
+	assert(!tokens.isInScope(scope, tokens.getRequestPath({ url: "//private/backups/x" })));
+});
+
+it("should match plugin routes by specificity and report the allowed methods", () => {
+	const handler = () => {};
+	const routes = route.compileRoutes([
+		{ path: "/items/:id", handler },
+		{ method: ["POST", "DELETE"], path: "/items/:id", handler },
+		{ path: "/items/new", handler },
+		{ method: "*", path: "/init", handler },
+	]);
+	assert(route.findRoute(routes, "GET", ["items", "new"]).route.segments[1] == "new");
+	assert(route.findRoute(routes, "GET", ["items", "42"]).params.id == "42");
+	assert(route.findRoute(routes, "HEAD", ["items", "42"]).route.methods.includes("GET"));
+	assert(route.findRoute(routes, "PUT", ["items", "42"]).allow.join(", ") == "GET, POST, DELETE, HEAD");
+	assert(route.findRoute(routes, "PATCH", ["init"]).route);
+	assert(route.findRoute(routes, "GET", ["items"]) === null);
+});
+
+it("should send validators and answer conditional requests for static files", (done) => {
+	const file = path.join(tmp, "conditional.txt");
+	fs.writeFileSync(file, "cache me");
+	fs.utimesSync(file, new Date("2020-01-01T00:00:00Z"), new Date("2020-01-01T00:00:00Z"));
+	const stats = fs.statSync(file);
+
+	request(tmp, { path: "/conditional.txt" }, (res, body) => {
+		const etag = res.headers["etag"];
+		assert(res.statusCode == 200 && body.toString() == "cache me");
+		assert(etag == index.getEntityTag(stats) && /^"[^"]+"$/.test(etag));
+		assert(res.headers["last-modified"] == "Wed, 01 Jan 2020 00:00:00 GMT");
+
+		expectStatuses(request.bind(null, tmp), [
+			{ request: { path: "/conditional.txt", headers: { "if-none-match": etag } }, status: 304 },
+			{ request: { path: "/conditional.txt", headers: { "if-none-match": `"other", W/${etag}` } }, status: 304 },
+			{ request: { path: "/conditional.txt", headers: { "if-none-match": "\"other\"" } }, status: 200 },
+			{ request: { path: "/conditional.txt", headers: { "if-modified-since": "Wed, 01 Jan 2020 00:00:00 GMT" } }, status: 304 },
+			{ request: { path: "/conditional.txt", headers: { "if-modified-since": "Tue, 31 Dec 2019 23:59:59 GMT" } }, status: 200 },
+			// If-None-Match wins over If-Modified-Since
+			{ request: { path: "/conditional.txt", headers: { "if-none-match": "\"other\"", "if-modified-since": "Wed, 01 Jan 2020 00:00:00 GMT" } }, status: 200 },
+			{ request: { path: "/conditional.txt", headers: { "if-match": etag } }, status: 200 },
+			{ request: { path: "/conditional.txt", headers: { "if-match": "\"other\"" } }, status: 412 },
+			{ request: { path: "/conditional.txt", headers: { "if-match": `W/${etag}` } }, status: 412 },
+			{ request: { path: "/conditional.txt", headers: { "if-unmodified-since": "Wed, 01 Jan 2020 00:00:00 GMT" } }, status: 200 },
+			{ request: { path: "/conditional.txt", headers: { "if-unmodified-since": "Tue, 31 Dec 2019 23:59:59 GMT" } }, status: 412 },
+		], done);
+	});
+});
+
+it("should parse byte ranges", () => {
+	const ranges = (header, size) => JSON.stringify(index.parseRange(header, size));
+	assert(ranges("bytes=0-99", 1000) == '[{"start":0,"end":99}]');
+	assert(ranges("bytes=-500", 1000) == '[{"start":500,"end":999}]');
+	assert(ranges("bytes=-5000", 1000) == '[{"start":0,"end":999}]');
+	assert(ranges("bytes=900-", 1000) == '[{"start":900,"end":999}]');
+	assert(ranges("bytes=900-5000", 1000) == '[{"start":900,"end":999}]');
+	// Overlapping ranges are merged and sorted
+	assert(ranges("bytes=500-599, 0-9, 550-700, 5-20", 1000) == '[{"start":0,"end":20},{"start":500,"end":700}]');
+	assert(ranges("bytes=0-9,20-29", 1000) == '[{"start":0,"end":9},{"start":20,"end":29}]');
+	// Unsatisfiable
+	assert(index.parseRange("bytes=1000-", 1000) === -1);
+	assert(index.parseRange("bytes=-0", 1000) === -1);
+	assert(index.parseRange("bytes=-10", 0) === -1);
+	// Ignored
+	assert(index.parseRange("items=0-9", 1000) === null);
+	assert(index.parseRange("bytes=9-0", 1000) === null);
+	assert(index.parseRange("bytes=-", 1000) === null);
+	assert(index.parseRange("bytes=a-b", 1000) === null);
+});
+
+it("should send partial content for any file", (done) => {
+	const file = path.join(tmp, "ranges.zip");
+	fs.writeFileSync(file, "0123456789");
+
+	request(tmp, { path: "/ranges.zip" }, (res) => {
+		assert(res.statusCode == 200 && res.headers["accept-ranges"] == "bytes");
+		request(tmp, { path: "/ranges.zip", headers: { range: "bytes=-3" } }, (res, body) => {
+			assert(res.statusCode == 206 && body.toString() == "789");
+			assert(res.headers["content-range"] == "bytes 7-9/10");
+			request(tmp, { path: "/ranges.zip", headers: { range: "bytes=10-" } }, (res) => {
+				assert(res.statusCode == 416 && res.headers["content-range"] == "bytes */10");
+				request(tmp, { path: "/ranges.zip", headers: { range: "bytes=0-1,5-6" } }, (res, body) => {
+					const boundary = /^multipart\/byteranges; boundary=(\w+)$/.exec(res.headers["content-type"])?.[1];
+					assert(res.statusCode == 206 && boundary);
+					assert(res.headers["content-length"] == body.length);
+					assert(body.toString() == [
+						"",
+						`--${boundary}`, "Content-Type: application/zip", "Content-Range: bytes 0-1/10", "", "01",
+						`--${boundary}`, "Content-Type: application/zip", "Content-Range: bytes 5-6/10", "", "56",
+						`--${boundary}--`, "",
+					].join("\r\n"));
+					// A partial copy of an older version gets the whole file
+					request(tmp, { path: "/ranges.zip", headers: { range: "bytes=0-1", "if-range": "\"old\"" } }, (res, body) => {
+						assert(res.statusCode == 200 && body.toString() == "0123456789");
+						done();
+					});
+				});
+			});
+		});
+	});
+});
+
+it("should pick the encoding the client prefers", () => {
+	const compression = config.compression;
+	config.compression = true;
+	const accepted = (header) => compress.acceptedEncodings({ headers: { "accept-encoding": header } }).join(",");
+	assert(accepted("gzip, deflate, br") == "br,gzip,deflate");
+	assert(accepted("gzip;q=1, br;q=0.5") == "gzip,br");
+	assert(accepted("br;q=0, gzip") == "gzip");
+	assert(accepted("*;q=0.1, gzip") == "gzip,br,deflate");
+	assert(accepted("identity;q=0") == "");
+	assert(accepted("GZIP;Q=0.8, identity;q=0, compress") == "gzip");
+	assert(accepted(undefined) == "");
+
+	const req = { headers: { "accept-encoding": "gzip" } };
+	assert(compress.negotiate(req, "text/css; charset=utf-8", 1024) == "gzip");
+	assert(compress.negotiate(req, "text/css; charset=utf-8", 1023) === null);
+	assert(compress.negotiate(req, "image/jpeg", 100000) === null);
+	assert(compress.negotiate({ headers: {} }, "text/html", 100000) === null);
+
+	config.compression = false;
+	assert(compress.negotiate(req, "text/html", 100000) === null);
+	config.compression = compression;
+});
+
+it("should only send precompressed copies of compressible files that are up to date", (done) => {
+	const compression = config.compression;
+	config.compression = true;
+	const finish = () => {
+		config.compression = compression;
+		done();
+	};
+
+	const write = (name, content, date) => {
+		fs.writeFileSync(path.join(tmp, name), content);
+		fs.utimesSync(path.join(tmp, name), date, date);
+	};
+	const older = new Date("2020-01-01T00:00:00Z");
+	const newer = new Date("2020-01-02T00:00:00Z");
+	write("fresh.css", "body {}", older);
+	write("fresh.css.gz", "precompressed", newer);
+	write("stale.css", "body {}", newer);
+	write("stale.css.gz", "precompressed", older);
+	write("archive.zip", "zip", older);
+	write("archive.zip.gz", "precompressed", newer);
+
+	const headers = { "accept-encoding": "br, gzip" };
+	request(tmp, { path: "/fresh.css", headers }, (res, body) => {
+		assert(res.headers["content-encoding"] == "gzip" && body.toString() == "precompressed");
+		assert(res.headers["vary"] == "Accept-Encoding");
+		assert(res.headers["etag"] == index.getEntityTag(fs.statSync(path.join(tmp, "fresh.css.gz"))));
+		request(tmp, { path: "/fresh.css", headers: { "accept-encoding": "identity" } }, (res, body) => {
+			assert(!res.headers["content-encoding"] && body.toString() == "body {}");
+			assert(res.headers["vary"] == "Accept-Encoding");
+			request(tmp, { path: "/stale.css", headers }, (res, body) => {
+				assert(!res.headers["content-encoding"] && body.toString() == "body {}");
+				request(tmp, { path: "/archive.zip", headers }, (res, body) => {
+					assert(!res.headers["content-encoding"] && body.toString() == "zip");
+					assert(!res.headers["vary"]);
+					finish();
+				});
+			});
+		});
+	});
+});
+
+it("should evict the least recently used entries to stay within the limit", () => {
+	const lru = cache.createCache(10, (value) => value.length);
+	lru.set("a", "1234");
+	lru.set("b", "1234");
+	lru.get("a");
+	lru.set("c", "1234");
+	assert(lru.get("a") == "1234" && lru.get("b") === undefined && lru.get("c") == "1234");
+	assert(lru.size == 8 && lru.count == 2);
+	lru.set("d", "12345678901");
+	assert(lru.get("d") === undefined && lru.size == 8);
+	lru.set("/site/dir", "1");
+	lru.set("/site/dir/file", "1");
+	lru.set("/site/directory", "1");
+	lru.deleteTree("/site/dir");
+	assert(lru.get("/site/dir/file") === undefined && lru.get("/site/directory") == "1");
+});
+
+it("should serve the new content of a cached file once it changes", (done) => {
+	// Only watched site roots are cached.
+	const root = path.join(tmp, "cached");
+	fs.mkdirSync(root);
+	fs.writeFileSync(path.join(root, "notes.txt"), "first version");
+	config.sites["cache.test"] = { name: "cache.test", wwwRoot: root };
+	cache.reload();
+	delete config.sites["cache.test"];
+
+	const hits = () => cache.counters().find((counter) => counter.name == "Files").hits;
+	request(root, { path: "/notes.txt" }, (res, body) => {
+		assert(body.toString() == "first version");
+		const before = hits();
+		request(root, { path: "/notes.txt" }, (res, body) => {
+			// Unless caching is turned off
+			assert(body.toString() == "first version" && (hits() > before || !(config.cacheSize > 0)));
+			fs.writeFileSync(path.join(root, "notes.txt"), "second version");
+			// Give the watcher a moment to report the change.
+			setTimeout(() => request(root, { path: "/notes.txt" }, (res, body) => {
+				assert(body.toString() == "second version");
+				done();
+			}), 200);
+		});
+	});
+});
+
+it("should list directories as JSON", (done) => {
+	const dir = path.join(tmp, "listing");
+	fs.mkdirSync(path.join(dir, "sub"), { recursive: true });
+	fs.writeFileSync(path.join(dir, "b <&> \".txt"), "12345");
+	fs.writeFileSync(path.join(dir, "a.jpg"), "1");
+	fs.writeFileSync(path.join(dir, "index.html"), "<p>index</p>");
+	fs.writeFileSync(path.join(dir, ".hidden"), "");
+
+	request(tmp, { path: "/listing/?sort=size&order=desc", headers: { accept: "application/json" } }, (res, body) => {
+		assert(res.statusCode == 200 && res.headers["content-type"] == "application/json; charset=utf-8");
+		const listing = JSON.parse(body);
+		assert(listing.path == "/listing/");
+		assert(listing.entries.map((entry) => entry.name).join("|") == "index.html|b <&> \".txt|a.jpg|sub");
+		const file = listing.entries[1];
+		assert(file.href == "/listing/b%20%3C%26%3E%20%22.txt" && file.type == "file" && file.size == 5);
+		assert(file.mimeType == "text/plain" && !isNaN(Date.parse(file.modified)));
+		assert(listing.entries[3].type == "directory" && listing.entries[3].size === null);
+
+		request(tmp, { path: "/listing/?type=directory", headers: { accept: "application/json" } }, (res, body) => {
+			assert(JSON.parse(body).entries.map((entry) => entry.name).join("|") == "sub");
+			done();
+		});
+	});
+});
+
+it("should serve each configured domain from its own root", () => {
+	withConfig(JSON.stringify({ wwwRoot: "/srv/default", sites: { "Photos.Example.com": { wwwRoot: "/srv/photos", index: "gallery.html" } } }), () => {
+		assert(config.getSite("photos.example.com").wwwRoot == "/srv/photos");
+		assert(config.getSite("PHOTOS.example.com:8443").index == "gallery.html");
+		assert(config.getSite("example.com").wwwRoot == "/srv/default");
+		assert(config.getSite(undefined) === config.defaultSite);
+		// Sites inherit anything they don't set themselves.
+		assert(config.getSite("photos.example.com").pathToUserCredentials == config.defaultSite.pathToUserCredentials);
+	});
+});
+
+it("should apply a changed config on reload and keep the current one if it is broken", () => {
+	withConfig(JSON.stringify({ directoryListingSort: "size", redirects: [{ from: "/old", to: "/new" }] }), (reloaded) => {
+		assert(reloaded);
+		assert(config.directoryListingSort == "size");
+		assert(config.redirects.length == 1 && config.redirects[0].to == "/new");
+
+		fs.writeFileSync(config.configPath, "{ not json");
+		assert(!config.reload());
+		assert(config.directoryListingSort == "size");
+	});
+});
+
+it("should create, check and revoke login sessions", (done) => {
+	const pathToSessions = path.join(tmp, "sessions.json");
+	const restore = useSettings({ sessions: true, pathToSessions, pathToSessionSecret: path.join(tmp, "session.key") });
+	const site = { pathToUserCredentials: path.join(tmp, "credentials.txt") };
+	const otherSite = { pathToUserCredentials: path.join(tmp, "other-credentials.txt") };
+	const login = (user) => {
+		let cookie;
+		session.create({ setHeader: (name, value) => cookie = value }, site, user, false);
+		return { headers: { cookie: cookie.split(";")[0] } };
+	};
+
+	const alice = login("alice");
+	assert(/^session=[\w-]+\.[\w-]+$/.test(alice.headers.cookie));
+	assert(session.getUser(alice, site) == "alice");
+	assert(session.getUser(alice, otherSite) === null);
+	assert(session.getUser({ headers: { cookie: alice.headers.cookie.replace(/.$/, (c) => c == "A" ? "B" : "A") } }, site) === null);
+	assert(session.getUser({ headers: { cookie: "session=forged.signature" } }, site) === null);
+
+	const bob = login("bob");
+	session.revokeUser(site, "alice");
+	assert(session.getUser(alice, site) === null);
+	assert(session.getUser(bob, site) == "bob");
+
+	let cleared;
+	session.destroy(bob, { setHeader: (name, value) => cleared = value });
+	assert(session.getUser(bob, site) === null);
+	assert(/^session=;.*Max-Age=0/.test(cleared));
+
+	config.sessions = false;
+	assert(session.getUser(login("carol"), site) === null);
+
+	// Only the last session is saved. Wait for it so nothing is still being written when the settings go back.
+	const saved = () => {
+		try {
+			return Object.values(JSON.parse(fs.readFileSync(pathToSessions, "utf8"))).map((saved) => saved.user).join();
+		} catch (err) {
+			return null;
+		}
+	};
+	waitFor(() => saved() == "carol", () => {
+		restore();
+		done();
+	});
+});
+
+it("should follow .access policies and the ones they inherit", (done) => {
+	const restore = useSettings({ useHttps: true, sessions: false, strictAccess: false });
+	const policies = {
+		"policy/members": { users: ["alice"] },
+		"policy/members/nested": null,
+		"policy/members/open": { public: true },
+		"policy/members/read-only": { inherit: true, methods: ["GET"] },
+		"policy/public": { public: true, methods: ["GET"] },
+	};
+	Object.keys(policies).forEach((dir) => {
+		fs.mkdirSync(path.join(tmp, dir), { recursive: true });
+		fs.writeFileSync(path.join(tmp, dir, "file.txt"), "content");
+		if (policies[dir]) fs.writeFileSync(path.join(tmp, dir, ".access"), JSON.stringify(policies[dir]));
+	});
+
+	expectStatuses(request.bind(null, tmp), [
+		{ request: { path: "/policy/members/file.txt" }, status: 401 },
+		{ request: { path: "/policy/members/nested/file.txt" }, status: 401 },
+		{ request: { path: "/policy/members/open/file.txt" }, status: 200 },
+		{ request: { path: "/policy/members/read-only/file.txt" }, status: 401 },
+		{ request: { path: "/policy/members/read-only/file.txt", method: "DELETE" }, status: 405 },
+		{ request: { path: "/policy/public/file.txt" }, status: 200 },
+		{ request: { path: "/policy/public/file.txt", method: "HEAD" }, status: 200 },
+		{ request: { path: "/policy/public/file.txt", method: "DELETE" }, status: 405 },
+		{ request: { path: "/file.txt" }, status: 404 },
+	], () => {
+		restore();
+		done();
+	});
+});
+
+it("should limit the number and size of multipart form fields", (done) => {
+	const form = (parts) => Object.assign(Readable.from([
+		parts.map(([name, value, filename]) => `--x\r\nContent-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"` : ""}\r\n\r\n${value}\r\n`).join("") + "--x--\r\n",
+	]), { headers: { "content-type": "multipart/form-data; boundary=x" } });
+	const keepFile = (files) => (file, stream, fileDone) => {
+		const chunks = [];
+		stream.on("data", (chunk) => chunks.push(chunk)).on("end", () => {
+			files.push(`${file.filename}:${Buffer.concat(chunks)}`);
+			fileDone();
+		});
+	};
+
+	const files = [];
+	multipart.parse(form([["a", "1"], ["b", "2"], ["upload", "data", "f.txt"]]), { maxFields: 2 }, keepFile(files), (err, fields) => {
+		assert(!err && fields.a == "1" && fields.b == "2" && files.join() == "f.txt:data");
+		multipart.parse(form([["a", "1"], ["b", "2"], ["c", "3"]]), { maxFields: 2 }, keepFile([]), (err) => {
+			assert(err?.statusCode == 413);
+			multipart.parse(form([["a", "12345"], ["b", "12345"]]), { maxFieldSize: 5, maxFieldsSize: 9 }, keepFile([]), (err) => {
+				assert(err?.statusCode == 413);
+				multipart.parse(form([["a", "12345"], ["b", "1234"]]), { maxFieldSize: 5, maxFieldsSize: 9 }, keepFile([]), (err, fields) => {
+					assert(!err && fields.b == "1234");
+					done();
+				});
+			});
+		});
+	});
+});
+
+it("should record audit entries, with only verified users, and find them again", (done) => {
+	const auditLogDirectory = path.join(tmp, "audit");
+	const restore = useSettings({ auditLogDirectory });
+	const site = { name: "audit.test", wwwRoot: tmp };
+	const fakeRequest = (address, headers = {}) => ({ method: "GET", url: "/private/report.txt", headers: Object.assign({ host: "audit.test" }, headers), site, socket: { remoteAddress: address } });
+
+	audit.record(fakeRequest("192.0.2.1"), "login", "alice", { method: "form" });
+	audit.record(fakeRequest("192.0.2.1"), "login-failure", "mallory", { method: "basic", reason: "Wrong Password" });
+	// Anyone can send a name. A 403 before it was checked is recorded without it.
+	errors.send(fakeRequest("192.0.2.2", { authorization: `Basic ${Buffer.from("alice:guess").toString("base64")}` }), { writeHead: () => {}, end: () => {} }, 403);
+
+	const written = () => fs.readdirSync(auditLogDirectory).map((file) => fs.readFileSync(path.join(auditLogDirectory, file), "utf8")).join("").split("\n").length > 3;
+	waitFor(written, () => audit.search({ event: "forbidden" }, 10, (err, forbidden) => {
+		assert(!err && forbidden.length == 1);
+		assert(forbidden[0]?.user === null && forbidden[0]?.ip == "192.0.2.2" && forbidden[0]?.resource == "/private/report.txt" && forbidden[0]?.site == "audit.test");
+		audit.search({ user: "alice" }, 10, (err, alice) => {
+			assert(alice.length == 1 && alice[0].event == "login" && alice[0].method == "form");
+			audit.search({ ip: "192.0.2.1" }, 1, (err, newest) => {
+				assert(newest.length == 1 && newest[0].event == "login-failure" && newest[0].reason == "Wrong Password");
+				restore();
+				done();
+			});
+		});
+	}));
+});
+
+it("should check access to everything a WebDAV request touches", (done) => {
+	const restore = useSettings({ useHttps: true, sessions: false, strictAccess: false, webdav: "/dav", auditLogDirectory: path.join(tmp, "audit") });
+	createSite("dav.test", ["alice", "bob"], (site) => {
+		const write = (file, content) => {
+			fs.mkdirSync(path.dirname(path.join(site.wwwRoot, file)), { recursive: true });
+			fs.writeFileSync(path.join(site.wwwRoot, file), content);
+		};
+		write(".access", JSON.stringify({ public: true, write: { users: ["alice", "bob"] } }));
+		write("shared/notes.txt", "notes");
+		write("shared/bobs/.access", JSON.stringify({ users: ["bob"], write: { users: ["bob"] } }));
+		write("shared/bobs/secret.txt", "secret");
+
+		const send = (options, callback) => serve((req, res) => {
+			req.site = site;
+			webdav.dispatch(req, res, new URL(req.url, "http://localhost"));
+		}, options, callback);
+		const as = (user, method, url, headers = {}) => ({ method, path: url, headers: Object.assign({ authorization: basic(user) }, headers) });
+
+		send(as("alice", "PROPFIND", "/dav/shared", { depth: "1" }), (res, body) => {
+			const hrefs = [...body.toString().matchAll(/<D:href>([^<]*)<\/D:href>/g)].map((match) => match[1]).sort();
+			assert(res.statusCode == 207 && hrefs.join() == "/dav/shared/,/dav/shared/bobs/,/dav/shared/notes.txt");
+
+			expectStatuses(send, [
+				{ request: as("alice", "PROPFIND", "/dav/shared", { depth: "0" }), status: 207 },
+				{ request: as("alice", "PROPFIND", "/dav/shared", { depth: "infinity" }), status: 403 },
+				{ request: as("alice", "PROPFIND", "/dav/shared/bobs", { depth: "0" }), status: 403 },
+				{ request: { method: "MKCOL", path: "/dav/shared/new" }, status: 401 },
+				{ request: as("alice", "MKCOL", "/dav/shared/new"), status: 201 },
+				{ request: as("alice", "MKCOL", "/dav/shared/new"), status: 405 },
+				{ request: as("alice", "MKCOL", "/dav/missing/new"), status: 409 },
+				// Bob's directory is inside
+				{ request: as("alice", "DELETE", "/dav/shared"), status: 403 },
+				{ request: as("alice", "MOVE", "/dav/shared", { destination: "/dav/moved" }), status: 403 },
+				{ request: as("alice", "COPY", "/dav/shared", { destination: "/dav/copied" }), status: 403 },
+				{ request: as("alice", "COPY", "/dav/shared", { destination: "/dav/copied", depth: "0" }), status: 201 },
+				{ request: as("alice", "COPY", "/dav/shared/notes.txt", { destination: "/dav/notes.txt" }), status: 201 },
+				{ request: as("bob", "COPY", "/dav/shared", { destination: "/dav/bobs-copy" }), status: 201 },
+			], () => {
+				assert(fs.existsSync(path.join(site.wwwRoot, "shared/bobs/secret.txt")));
+				assert(!fs.existsSync(path.join(site.wwwRoot, "copied/bobs")));
+
+				const lockInfo = `<?xml version="1.0"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockinfo>`;
+				send(Object.assign(as("alice", "LOCK", "/dav/shared/notes.txt"), { body: lockInfo }), (res) => {
+					const token = res.headers["lock-token"];
+					assert(res.statusCode == 200 && /^<urn:uuid:[\w-]+>$/.test(token));
+					expectStatuses(send, [
+						{ request: Object.assign(as("bob", "LOCK", "/dav/shared/notes.txt"), { body: lockInfo }), status: 423 },
+						{ request: Object.assign(as("bob", "PUT", "/dav/shared/notes.txt"), { body: "bob's notes" }), status: 423 },
+						{ request: Object.assign(as("bob", "PUT", "/dav/shared/notes.txt", { if: `(${token})` }), { body: "bob's notes" }), status: 423 },
+						{ request: as("bob", "DELETE", "/dav/shared/notes.txt"), status: 423 },
+						{ request: as("bob", "UNLOCK", "/dav/shared/notes.txt", { "lock-token": token }), status: 403 },
+						{ request: as("alice", "UNLOCK", "/dav/shared/notes.txt", { "lock-token": token }), status: 204 },
+						{ request: as("bob", "DELETE", "/dav/shared/notes.txt"), status: 204 },
+					], () => {
+						restore();
+						done();
+					});
+				});
+			});
+		});
+	});
+});
+
+it("should lock out guesses per account and address, longer each time, and remember it", (done) => {
+	const pathToLockouts = path.join(tmp, "lockouts.json");
+	const restore = useSettings({ pathToLockouts, lockoutThreshold: 2, ipLockoutThreshold: 4, lockoutDuration: 10, maxLockoutDuration: 30, auditLogDirectory: path.join(tmp, "audit") });
+	const site = { name: "lockout.test", pathToUserCredentials: path.join(tmp, "lockout-credentials.txt") };
+	const from = (address) => ({ method: "POST", url: "/login", headers: {}, site, socket: { remoteAddress: address } });
+	const stranger = from("192.0.2.1");
+	const owner = from("198.51.100.1");
+
+	lockout.recordFailure(stranger, site, "alice");
+	assert(lockout.check(stranger, site, "alice") == 0);
+	lockout.recordFailure(stranger, site, "alice");
+	assert(lockout.check(stranger, site, "alice") == 10);
+	lockout.recordFailure(stranger, site, "alice");
+	assert(lockout.check(stranger, site, "alice") == 20);
+	lockout.recordFailure(stranger, site, "alice");
+	assert(lockout.check(stranger, site, "alice") == 30);
+	// The stranger can't lock the owner out, but their address is locked for every account.
+	assert(lockout.check(owner, site, "alice") == 0);
+	assert(lockout.check(stranger, site, "bob") == 10);
+	assert(lockout.getAccount(site, "alice")?.failures == 4);
+
+	// An IPv6 /64 network counts as one address.
+	lockout.recordFailure(from("2001:db8:0:1::1"), site, "bob");
+	lockout.recordFailure(from("2001:db8:0:1:abcd::2"), site, "bob");
+	assert(lockout.check(from("2001:db8:0:1:ffff::"), site, "bob") == 10);
+	assert(lockout.check(from("2001:db8:0:2::1"), site, "bob") == 0);
+
+	// Logging in clears the account's failures from that address only.
+	lockout.recordFailure(owner, site, "carol");
+	lockout.recordFailure(from("203.0.113.1"), site, "carol");
+	lockout.recordSuccess(owner, site, "carol");
+	assert(lockout.getAccount(site, "carol")?.failures == 1);
+
+	config.lockoutDuration = 0.1;
+	lockout.recordFailure(owner, site, "dave");
+	lockout.recordFailure(owner, site, "dave");
+	assert(lockout.check(owner, site, "dave") == 1);
+	setTimeout(() => {
+		assert(lockout.check(owner, site, "dave") == 0);
+
+		// Saving waits for more failures, then a reload finds the lockouts again.
+		const saved = () => {
+			try {
+				return Object.keys(JSON.parse(fs.readFileSync(pathToLockouts, "utf8")).accounts[site.pathToUserCredentials]).length == 4;
+			} catch (err) {
+				return false;
+			}
+		};
+		assert(!saved());
+		waitFor(saved, () => {
+			config.pathToLockouts = path.join(tmp, "other-lockouts.json");
+			assert(lockout.check(stranger, site, "alice") == 0);
+			config.pathToLockouts = pathToLockouts;
+			assert(lockout.check(stranger, site, "alice") > 20);
+			restore();
+			done();
+		});
+	}, 150);
+});
+
+it("should keep a scoped API token's WebDAV copies and moves inside its scope", (done) => {
+	const pathToApiTokens = path.join(tmp, "api_tokens.json");
+	const restore = useSettings({ useHttps: true, sessions: false, strictAccess: false, webdav: "/dav", pathToApiTokens, auditLogDirectory: path.join(tmp, "audit") });
+	createSite("tokens.test", ["alice"], (site) => {
+		fs.writeFileSync(path.join(site.wwwRoot, ".access"), JSON.stringify({ users: ["alice"], write: { users: ["alice"] } }));
+		fs.mkdirSync(path.join(site.wwwRoot, "backups"));
+		fs.writeFileSync(path.join(site.wwwRoot, "backups", "latest.tar"), "backup");
+		const token = tokens.create(site, "alice", "backups", null, "/dav/backups");
+
+		const send = (options, callback) => serve((req, res) => {
+			req.site = site;
+			webdav.dispatch(req, res, new URL(req.url, "http://localhost"));
+		}, options, callback);
+		const withToken = (method, url, headers = {}) => ({ method, path: url, headers: Object.assign({ authorization: `Bearer ${token}` }, headers) });
+
+		expectStatuses(send, [
+			{ request: withToken("COPY", "/dav/backups/latest.tar", { destination: "/dav/backups/copy.tar" }), status: 201 },
+			{ request: withToken("COPY", "/dav/backups/latest.tar", { destination: "/dav/latest.tar" }), status: 403 },
+			{ request: withToken("COPY", "/dav/backups/latest.tar", { destination: "/dav/backups-old/latest.tar" }), status: 403 },
+			{ request: withToken("MOVE", "/dav/backups/copy.tar", { destination: "/dav/copy.tar" }), status: 403 },
+			{ request: withToken("COPY", "/dav/backups", { destination: "/dav/everything" }), status: 403 },
+		], () => {
+			assert(!fs.existsSync(path.join(site.wwwRoot, "latest.tar")));
+			assert(!fs.existsSync(path.join(site.wwwRoot, "backups-old")));
+			assert(fs.existsSync(path.join(site.wwwRoot, "backups", "copy.tar")));
+			waitFor(() => fs.existsSync(pathToApiTokens), () => {
+				restore();
+				done();
+			});
+		});
+	});
+});
+
+it("should only change a password when the current one is given", (done) => {
+	const pathToLockouts = path.join(tmp, "password-lockouts.json");
+	const restore = useSettings({ useHttps: true, sessions: false, pathToLockouts, pathToSessions: path.join(tmp, "password-sessions.json"), pathToSessionSecret: path.join(tmp, "password-session.key"), auditLogDirectory: path.join(tmp, "audit") });
+	createSite("password.test", ["alice"], (site) => {
+		const send = (options, callback) => serve((req, res) => {
+			req.site = site;
+			auth.sendPasswordForm(req, res);
+		}, options, callback);
+		const change = (password, current, form = { current, password: "new-pw", confirm: "new-pw" }) => ({
+			method: "POST",
+			path: "/account/password",
+			headers: { host: "password.test", origin: "https://password.test", "content-type": "application/x-www-form-urlencoded", authorization: basic("alice", password) },
+			body: new URLSearchParams(form).toString(),
+		});
+		const saved = () => fs.readFileSync(site.pathToUserCredentials, "utf8");
+		const before = saved();
+
+		expectStatuses(send, [
+			{ request: change("pw", "wrong"), status: 403 },
+			{ request: change("pw", "pw", { current: "pw", password: "new-pw", confirm: "other" }), status: 400 },
+			{ request: Object.assign(change("pw", "pw"), { headers: Object.assign(change("pw", "pw").headers, { origin: "https://elsewhere.test" }) }), status: 403 },
+		], () => {
+			assert(saved() == before);
+			expectStatuses(send, [
+				{ request: change("pw", "pw"), status: 200 },
+				{ request: change("pw", "pw"), status: 401 },
+				{ request: change("new-pw", "pw"), status: 403 },
+			], () => {
+				assert(saved() != before);
+				// The wrong guesses count toward a lockout. Wait for all three to be saved before the settings go back.
+				const failures = () => {
+					try {
+						return JSON.parse(fs.readFileSync(pathToLockouts, "utf8")).addresses["127.0.0.1"].failures;
+					} catch (err) {
+						return 0;
+					}
+				};
+				waitFor(() => failures() == 3, () => {
+					restore();
+					done();
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,207 @@
+/**
+ * This module manages personal API tokens. Scripts and other programs can send
+ * a token ("Authorization: Bearer <token>") instead of a user's password. A
+ * token acts as the user who created it.
+ *
+ * Each token has a name so its owner can tell them apart, an optional expiry
+ * and an optional path scope. A scoped token ("/backups") only works for URLs
+ * at or under that path. Users create and revoke their tokens at
+ * https://[my.website]/account/tokens (see auth.js).
+ *
+ * Tokens are only shown once, when they are created. Only a hash of each token
+ * is saved (see "pathToApiTokens" in config.js). They are read again if
+ * "pathToApiTokens" changes when the config is reloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const { createHash, randomBytes } = require('crypto');
+
+const log = require(path.join(__dirname, 'log.js'));
+const config = require(path.join(__dirname, 'config.js'));
+
+// Tokens start with this so that they are easy to recognize (in a leaked config file, for example).
+const prefix = 'wht_';
+const maxTokensPerUser = 50;
+
+let tokens = null; // Key'd on token hash
+let tokensPath = null; // Where tokens were read from
+
+function getTokens() {
+	if (tokens && tokensPath == config.pathToApiTokens) return tokens;
+	tokens = {};
+	tokensPath = config.pathToApiTokens;
+	try {
+		const saved = JSON.parse(fs.readFileSync(config.pathToApiTokens, 'utf8'));
+		Object.keys(saved).filter(key => !isExpired(saved[key])).forEach(key => tokens[key] = saved[key]);
+	} catch (err) {
+		if (err.code != 'ENOENT') log.error(log.tags('Token'), `Unable to load API tokens. ${err.message}`);
+	}
+	return tokens;
+}
+
+const isExpired = (token) => token.expires !== null && token.expires <= Date.now();
+
+/**
+ * Write the tokens to the disk. Only one write runs at a time. Changes made
+ * during a write are saved by another write right after.
+ */
+let saving = false;
+let changedWhileSaving = false;
+function save() {
+	if (saving) {
+		changedWhileSaving = true;
+		return;
+	}
+	saving = true;
+	// The tokens that changed, even if "pathToApiTokens" has changed since.
+	const current = tokens;
+	const filePath = tokensPath;
+	Object.keys(current).filter(key => isExpired(current[key])).forEach(key => delete current[key]);
+
+	const tempPath = `${filePath}.${randomBytes(6).toString('hex')}.tmp`;
+	fs.writeFile(tempPath, JSON.stringify(current), { mode: 0o600 }, (err) => {
+		const done = (err) => {
+			if (err) log.error(log.tags('Token'), `Unable to save API tokens: ${err.message}`);
+			saving = false;
+			if (changedWhileSaving) {
+				changedWhileSaving = false;
+				save();
+			}
+		};
+		if (err) return done(err);
+		fs.rename(tempPath, filePath, done);
+	});
+}
+
+const hash = (token) => createHash('sha256').update(token).digest('base64url');
+
+// Tokens are listed and revoked by the start of their hash, which says nothing about the token itself.
+const getId = (key) => key.substring(0, 12);
+
+/**
+ * Clean up a path scope. Scopes are URL paths starting with "/" without a
+ * trailing slash ("/" is every path).
+ *
+ * @param {string} scope
+ * @return {string?} null if it isn't a usable path
+ */
+module.exports.normalizeScope = (scope) => {
+	if (typeof scope != 'string' || !scope.startsWith('/')) return null;
+	const normalized = path.posix.normalize(scope);
+	return normalized.length > 1 ? normalized.replace(/\/$/, '') : normalized;
+};
+
+/**
+ * Whether a URL path is inside a token's scope.
+ *
+ * @param {string?} scope      See normalizeScope. null is every path.
+ * @param {string} pathname    URL path (still URL encoded)
+ * @return {boolean}
+ */
+module.exports.isInScope = (scope, pathname) => {
+	if (scope === null || scope === '/') return true;
+	let decoded;
+	try {
+		decoded = path.posix.normalize(decodeURIComponent(pathname));
+	} catch (err) {
+		return false;
+	}
+	return decoded === scope || decoded.startsWith(scope + '/');
+};
+
+/**
+ * The URL path (still URL encoded) that a request is served from. This is read
+ * the same way route.js finds the file to serve. (A WHATWG URL would read
+ * "//private/x" as the host "private" and the path "/x".)
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @return {string}
+ */
+module.exports.getRequestPath = (req) => url.parse(req.url ?? '/').pathname ?? '/';
+
+/**
+ * Get the user for a request with a bearer token. The token must not have
+ * expired and the request must be inside its scope.
+ *
+ * @param {Node's request object} req https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {object} site               The request's site. Tokens only work on the site they were created for.
+ * @param {string?} pathname          URL path (still URL encoded) to check the scope against instead of the request's
+ * @return {string?} User name
+ */
+module.exports.getUser = (req, site, pathname = module.exports.getRequestPath(req)) => {
+	const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+	if (scheme?.toLowerCase() != 'bearer' || !token?.startsWith(prefix)) return null;
+	const record = getTokens()[hash(token)];
+	if (!record || isExpired(record) || record.credentials !== site.pathToUserCredentials) return null;
+	return module.exports.isInScope(record.scope, pathname) ? record.user : null;
+};
+
+/**
+ * Create a token.
+ *
+ * @param {object} site
+ * @param {string} user
+ * @param {string} name     What the token is for
+ * @param {number?} expires When the token stops working (milliseconds since 1970). null for never.
+ * @param {string?} scope   See normalizeScope. null for every path.
+ * @return {string} The token. It can't be shown again.
+ * @throws If the user has too many tokens
+ */
+module.exports.create = (site, user, name, expires, scope) => {
+	if (module.exports.list(site, user).length >= maxTokensPerUser) throw new Error(`No more than ${maxTokensPerUser} tokens are allowed. Revoke some first.`);
+	const token = prefix + randomBytes(32).toString('base64url');
+	getTokens()[hash(token)] = { user, credentials: site.pathToUserCredentials, name, created: Date.now(), expires, scope };
+	save();
+	log.info(log.tags('Token'), `Created API token "${name}" for ${user}`);
+	return token;
+};
+
+/**
+ * A user's tokens (without the tokens themselves), oldest first.
+ *
+ * @param {object} site
+ * @param {string} user
+ * @return {object[]} {id, name, created, expires, scope}
+ */
+module.exports.list = (site, user) => {
+	const current = getTokens();
+	return Object.keys(current)
+		.filter(key => current[key].user === user && current[key].credentials === site.pathToUserCredentials && !isExpired(current[key]))
+		.map(key => ({ id: getId(key), name: current[key].name, created: current[key].created, expires: current[key].expires, scope: current[key].scope }))
+		.sort((a, b) => a.created - b.created);
+};
+
+/**
+ * Revoke one of a user's tokens.
+ *
+ * @param {object} site
+ * @param {string} user
+ * @param {string} id   From list
+ * @return {boolean} Whether the token was found
+ */
+module.exports.revoke = (site, user, id) => {
+	const current = getTokens();
+	const key = Object.keys(current).find(key => getId(key) === id && current[key].user === user && current[key].credentials === site.pathToUserCredentials);
+	if (!key) return false;
+	log.info(log.tags('Token'), `Revoked API token "${current[key].name}" for ${user}`);
+	delete current[key];
+	save();
+	return true;
+};
+
+/**
+ * Revoke all of a user's tokens (after their account is deleted).
+ *
+ * @param {object} site
+ * @param {string} user
+ */
+module.exports.revokeUser = (site, user) => {
+	const current = getTokens();
+	const revoked = Object.keys(current).filter(key => current[key].user === user && current[key].credentials === site.pathToUserCredentials);
+	if (revoked.length === 0) return;
+	revoked.forEach(key => delete current[key]);
+	save();
+	log.info(log.tags('Token'), `Revoked ${revoked.length} API token${revoked.length > 1 ? 's' : ''} for ${user}`);
+};
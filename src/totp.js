@@ -0,0 +1,114 @@
+/**
+ * This module implements time-based one-time passwords (RFC 6238). These are
+ * the 6 digit codes that authenticator apps show, used as the optional second
+ * factor for logging in (see "Two-Factor Authentication" in auth.js).
+ *
+ * Secrets are shared with the app as base32 text (or an otpauth:// URI that
+ * some apps accept). Codes are HMAC-SHA1 of the number of 30 second steps since
+ * 1970, which is what every authenticator app supports.
+ *
+ * Recovery codes are single use codes for when the app is lost. Only their
+ * hashes are kept.
+ */
+
+const { createHash, createHmac, randomBytes, timingSafeEqual } = require('crypto');
+
+const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const period = 30;
+const digits = 6;
+
+/**
+ * @param {Buffer} buffer
+ * @return {string} RFC 4648 base32 without padding
+ */
+module.exports.encodeBase32 = (buffer) => {
+	let bits = '';
+	buffer.forEach(byte => bits += byte.toString(2).padStart(8, '0'));
+	return (bits.match(/.{1,5}/g) ?? []).map(chunk => alphabet[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+/**
+ * @param {string} text Base32. Case, spaces and padding are ignored.
+ * @return {Buffer?} null if the text isn't base32
+ */
+module.exports.decodeBase32 = (text) => {
+	const clean = text.toUpperCase().replace(/[\s=]/g, '');
+	if (!/^[A-Z2-7]*$/.test(clean)) return null;
+	const bits = [...clean].map(c => alphabet.indexOf(c).toString(2).padStart(5, '0')).join('');
+	return Buffer.from((bits.match(/.{8}/g) ?? []).map(byte => parseInt(byte, 2)));
+};
+
+/**
+ * @return {string} A new random (160 bit) secret in base32
+ */
+module.exports.generateSecret = () => module.exports.encodeBase32(randomBytes(20));
+
+/**
+ * The code for a time step (RFC 4226 HOTP).
+ */
+function codeAt(key, step) {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+	const hmac = createHmac('sha1', key).update(counter).digest();
+	const offset = hmac[hmac.length - 1] & 0xf;
+	return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * @param {string} secret  Base32
+ * @param {number} time    Milliseconds since 1970
+ * @return {string} The code an authenticator app shows at that time
+ */
+module.exports.generate = (secret, time = Date.now()) => codeAt(module.exports.decodeBase32(secret), Math.floor(time / 1000 / period));
+
+/**
+ * Check a code. Codes from one step before or after now are accepted too
+ * because clocks drift and typing takes time.
+ *
+ * @param {string} secret  Base32
+ * @param {string} code
+ * @param {number} time    Milliseconds since 1970
+ * @return {number?} The time step the code is for (to stop it being used twice) or null if it is wrong
+ */
+module.exports.verify = (secret, code, time = Date.now()) => {
+	const key = module.exports.decodeBase32(secret ?? '');
+	if (!key || !/^\d{6}$/.test(code ?? '')) return null;
+	const now = Math.floor(time / 1000 / period);
+	for (const step of [now, now - 1, now + 1]) {
+		if (timingSafeEqual(Buffer.from(codeAt(key, step)), Buffer.from(code))) return step;
+	}
+	return null;
+};
+
+/**
+ * An otpauth:// URI for setting up an authenticator app.
+ *
+ * @param {string} issuer  The site's name as it should show up in the app
+ * @param {string} name    User name
+ * @param {string} secret  Base32
+ * @return {string}
+ */
+module.exports.getUri = (issuer, name, secret) => `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(name)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${digits}&period=${period}`;
+
+/**
+ * @param {number} count
+ * @return {string[]} New recovery codes ("abcde-fghij")
+ */
+module.exports.generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+	const code = module.exports.encodeBase32(randomBytes(7)).toLowerCase();
+	return `${code.substring(0, 5)}-${code.substring(5, 10)}`;
+});
+
+/**
+ * Whether some text looks like a recovery code.
+ *
+ * @param {string} text
+ * @return {boolean}
+ */
+module.exports.isRecoveryCode = (text) => /^[a-z2-7]{5}-?[a-z2-7]{5}$/i.test(text ?? '');
+
+/**
+ * @param {string} code A recovery code. Case and the dash don't matter.
+ * @return {string} The hash to keep instead of the code
+ */
+module.exports.hashRecoveryCode = (code) => createHash('sha256').update(code.toLowerCase().replace(/-/g, '')).digest('base64url');
@@ -0,0 +1,195 @@
+/**
+ * This module saves files uploaded in to content directories.
+ *
+ * Files can be uploaded with PUT (to the file's URL) or with a
+ * multipart/form-data POST (to the directory's URL) like the upload form in
+ * generated directory listings sends. Uploading needs a "write" rule in the
+ * directory's .access policy (see auth.js). index.js checks that before
+ * handing the request over.
+ *
+ * Each file is written to a temporary file in the same directory first then
+ * moved in to place so that a failed or partial upload never shows up as a
+ * broken file. PUT replaces an existing file. POST never does. The new file
+ * gets a numbered name ("photo (1).jpg") instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const { randomBytes } = require('crypto');
+
+const auth = require(path.join(__dirname, 'auth.js'));
+const config = require(path.join(__dirname, 'config.js'));
+const errors = require(path.join(__dirname, 'errors.js'));
+const log = require(path.join(__dirname, 'log.js'));
+const multipart = require(path.join(__dirname, 'multipart.js'));
+
+/**
+ * Handle an upload request.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {string} dir                 The absolute path to the directory to save in to
+ * @param {string} absoluteSystemPath  The requested path. For PUT, this is the file to write.
+ */
+module.exports = (req, res, dir, absoluteSystemPath) => {
+	if (req.method == 'PUT') {
+		receiveFile(req, res, dir, path.basename(absoluteSystemPath));
+	} else {
+		receiveForm(req, res, dir);
+	}
+};
+
+/**
+ * Make an uploaded file's name safe to save. Directories, control characters
+ * and characters that aren't allowed in file names on common systems are
+ * removed. Names can't start with a dot (hidden files) and are shortened to
+ * fit file system limits.
+ *
+ * @param {string} name
+ * @return {string} The safe name. Empty if nothing is left.
+ */
+module.exports.sanitizeFileName = (name) => {
+	// Some browsers send the whole path of the file on the client.
+	const sanitized = name.split(/[\\/]/).pop()
+		.normalize('NFC')
+		.replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '_')
+		.replace(/^[\s.]+|[\s.]+$/g, '');
+
+	const extension = path.extname(sanitized).slice(0, 16);
+	let base = Array.from(sanitized.slice(0, sanitized.length - path.extname(sanitized).length));
+	while (base.length > 0 && Buffer.byteLength(base.join('') + extension) > 200) base.pop();
+	return base.length > 0 ? base.join('') + extension : '';
+};
+
+/**
+ * Save the body of a PUT request as the named file.
+ */
+function receiveFile(req, res, dir, name) {
+	// index.js uses this module so it can't be required before this module has loaded.
+	const index = require(path.join(__dirname, 'index.js'));
+
+	if (module.exports.sanitizeFileName(name) !== name || index.isDenied(name)) return errors.send(req, res, 400, 'Invalid file name');
+	if (Number(req.headers['content-length']) > config.maxUploadSize) return errors.send(req, res, 413, 'File too large');
+
+	const target = path.join(dir, name);
+	fs.lstat(target, (err, stats) => {
+		if (err && err.code != 'ENOENT') return sendFailure(req, res, target, err);
+		if (stats && !stats.isFile()) return errors.send(req, res, 409, `${name} is not a file`);
+
+		// Stop reading (but don't drop the connection) if the file is too large so that the error can be sent.
+		const limiter = limitSize(config.maxUploadSize);
+		req.on('error', (err) => limiter.destroy(err));
+		limiter.on('error', () => {
+			req.unpipe(limiter);
+			req.resume();
+		});
+		req.pipe(limiter);
+
+		save(limiter, dir, name, true, (err) => {
+			if (err) return sendFailure(req, res, target, err);
+			log.info(log.tags('Upload'), `${auth.currentUser(req)} ${stats ? 'replaced' : 'uploaded'} ${target}`);
+			res.writeHead(stats ? 204 : 201);
+			res.end();
+		});
+	});
+}
+
+/**
+ * Save the files from a multipart/form-data POST. Files saved before an error
+ * are kept.
+ */
+function receiveForm(req, res, dir) {
+	// index.js uses this module so it can't be required before this module has loaded.
+	const index = require(path.join(__dirname, 'index.js'));
+
+	if (!auth.isSameOrigin(req)) {
+		log.warning(log.tags('Upload'), `Rejected cross-site upload from ${req.headers.origin ?? req.headers.referer}`);
+		return errors.send(req, res, 403, "Access Forbidden");
+	}
+
+	const saved = [];
+	multipart.parse(req, { maxFileSize: config.maxUploadSize }, (file, stream, done) => {
+		// Browsers send a file with no name when none was picked.
+		if (!file.filename) {
+			stream.on('end', () => done()).resume();
+			return;
+		}
+
+		const name = module.exports.sanitizeFileName(file.filename);
+		if (!name || index.isDenied(name)) return done(Object.assign(new Error(`Invalid file name ${file.filename}`), { statusCode: 400 }));
+
+		save(stream, dir, name, false, (err, savedName) => {
+			if (!err) saved.push(savedName);
+			done(err);
+		});
+	}, (err) => {
+		if (err) return sendFailure(req, res, dir, err);
+		log.info(log.tags('Upload'), `${auth.currentUser(req)} uploaded ${saved.length} file${saved.length == 1 ? '' : 's'} to ${dir}${saved.length ? `: ${saved.join(', ')}` : ''}`);
+		// Back to the directory listing.
+		res.writeHead(303, { Location: req.url });
+		res.end();
+	});
+}
+
+/**
+ * Write a stream to a temporary file then give it its name.
+ *
+ * @param {stream.Readable} source
+ * @param {string} dir
+ * @param {string} name
+ * @param {boolean} replace     Whether to replace an existing file with the same name
+ * @param {function} callback   (err, savedName)
+ */
+function save(source, dir, name, replace, callback) {
+	const tempPath = path.join(dir, `.upload.${randomBytes(6).toString('hex')}.tmp`);
+	pipeline(source, fs.createWriteStream(tempPath, { flags: 'wx' }), (err) => {
+		if (err) return fs.unlink(tempPath, () => callback(err));
+
+		if (replace) {
+			return fs.rename(tempPath, path.join(dir, name), (err) => {
+				if (err) fs.unlink(tempPath, () => {});
+				callback(err, name);
+			});
+		}
+
+		link(tempPath, dir, name, 0, (err, savedName) => fs.unlink(tempPath, () => callback(err, savedName)));
+	});
+}
+
+/**
+ * Give the temporary file its name without replacing an existing file. Linking
+ * fails if the name is taken so there is no gap between checking and saving.
+ */
+function link(tempPath, dir, name, attempt, callback) {
+	const extension = path.extname(name);
+	const candidate = attempt ? `${path.basename(name, extension)} (${attempt})${extension}` : name;
+	fs.link(tempPath, path.join(dir, candidate), (err) => {
+		if (err?.code == 'EEXIST' && attempt < 100) return link(tempPath, dir, name, attempt + 1, callback);
+		callback(err, candidate);
+	});
+}
+
+/**
+ * A pass-through stream that errors (with a statusCode of 413) once more than
+ * maxSize bytes have gone through it.
+ */
+function limitSize(maxSize) {
+	let size = 0;
+	return new Transform({
+		transform: (chunk, encoding, next) => {
+			size += chunk.length;
+			if (size > maxSize) return next(Object.assign(new Error('File too large'), { statusCode: 413 }));
+			next(null, chunk);
+		},
+	});
+}
+
+function sendFailure(req, res, target, err) {
+	if (err.statusCode) {
+		log.warning(log.tags('Upload'), `Rejected upload to ${target}: ${err.message}`);
+		return errors.send(req, res, err.statusCode, err.message);
+	}
+	log.error(log.tags('Upload'), `Unable to save upload to ${target}: ${err.message}`);
+	errors.send(req, res, 500);
+}
@@ -0,0 +1,650 @@
+/**
+ * This module serves the content directory over WebDAV (RFC 4918) so it can be
+ * mounted as a network drive ( https://[my.website]/dav/ with "webdav": "/dav"
+ * in config.json )
+ *
+ * Supported: PROPFIND, PROPPATCH (nothing can be changed), MKCOL, GET, HEAD,
+ * PUT, DELETE, COPY, MOVE, LOCK and UNLOCK (compliance classes 1 and 2).
+ *
+ * The usual access checks apply to every operation. Reading (GET, PROPFIND,
+ * the source of a COPY) goes through auth.authorize like any other request.
+ * Every directory with its own access policy inside a copied directory must
+ * be readable too.
+ * Anything that changes the content needs a "write" rule (auth.authorizeWrite)
+ * for the directory being changed (and for every directory with its own policy
+ * inside a directory that is deleted, moved or replaced). Hidden files (see
+ * "denyList") are not listed and can't be used.
+ *
+ * Locks are kept in memory only and don't survive a restart. The If header is
+ * only checked for lock tokens. Other conditions in it are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const auth = require(path.join(__dirname, 'auth.js'));
+const config = require(path.join(__dirname, 'config.js'));
+const errors = require(path.join(__dirname, 'errors.js'));
+const index = require(path.join(__dirname, 'index.js'));
+const log = require(path.join(__dirname, 'log.js'));
+const upload = require(path.join(__dirname, 'upload.js'));
+
+const maxBodySize = 64 * 1024;
+const defaultLockTimeout = 60 * 60;
+const maxLockTimeout = 24 * 60 * 60;
+const allowedMethods = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK';
+
+const locks = new Map(); // Active locks. Key'd on lock token
+
+/**
+ * Whether a URL path is handled by WebDAV.
+ *
+ * @param {string} pathname
+ * @return {boolean}
+ */
+module.exports.handles = (pathname) => {
+	const prefix = getPrefix();
+	return Boolean(prefix) && (pathname === prefix || pathname.startsWith(prefix + '/'));
+};
+
+/**
+ * Handle a WebDAV request.
+ *
+ * @param {Node's request object} req  https://nodejs.org/api/http.html#http_class_http_clientrequest
+ * @param {Node's response object} res https://nodejs.org/api/http.html#http_class_http_serverresponse
+ * @param {URL} parsedUrl
+ */
+module.exports.dispatch = (req, res, parsedUrl) => {
+	const target = resolve(req.site, parsedUrl.pathname);
+	if (!target) return errors.send(req, res, 400);
+	if (index.isDenied(target.webPath)) return errors.send(req, res, 404);
+
+	switch (req.method) {
+		case 'OPTIONS':
+			res.writeHead(200, { 'DAV': '1, 2', 'MS-Author-Via': 'DAV', 'Allow': allowedMethods, 'Content-Length': 0 });
+			return res.end();
+		case 'GET':
+		case 'HEAD':
+			// Files and directory listings are served the same way as everywhere else.
+			return index(req, res, req.site.wwwRoot, target.webPath, target.absolutePath);
+		case 'PROPFIND': return propfind(req, res, target);
+		case 'PROPPATCH': return proppatch(req, res, target);
+		case 'MKCOL': return mkcol(req, res, target);
+		case 'PUT': return put(req, res, target);
+		case 'DELETE': return remove(req, res, target);
+		case 'COPY':
+		case 'MOVE': return copyOrMove(req, res, target);
+		case 'LOCK': return lock(req, res, target);
+		case 'UNLOCK': return unlock(req, res, target);
+		default: return errors.send(req, res, 405, undefined, { Allow: allowedMethods });
+	}
+};
+
+function getPrefix() {
+	return config.webdav ? '/' + config.webdav.split('/').filter(part => part).join('/') : null;
+}
+
+/**
+ * Map a URL path under the WebDAV prefix to the content directory.
+ *
+ * @return {object?} {webPath, absolutePath, href} or null if the path can't be decoded
+ */
+function resolve(site, pathname) {
+	let webPath;
+	try {
+		webPath = path.posix.normalize('/' + decodeURIComponent(pathname.substring(getPrefix().length)));
+	} catch (err) {
+		return null;
+	}
+	webPath = webPath.length > 1 ? webPath.replace(/\/$/, '') : webPath;
+	return { webPath, absolutePath: path.join(site.wwwRoot, webPath), href: getPrefix() + webPath.split('/').map(encodeURIComponent).join('/') };
+}
+
+/**
+ * Read access is checked on a directory (files use their directory) the same
+ * way index.js does.
+ */
+function authorizeRead(req, res, target, stats, callback) {
+	auth.authorize(req, res, req.site.wwwRoot, stats.isDirectory() ? target.absolutePath : path.dirname(target.absolutePath), callback);
+}
+
+/**
+ * Changes are checked against the write rule of the directory the target is in.
+ * That directory must exist. The root itself can't be changed.
+ */
+function authorizeWrite(req, res, target, callback) {
+	if (target.webPath === '/') return errors.send(req, res, 403, 'The root can not be changed');
+	const dir = path.dirname(target.absolutePath);
+	index.statWithinRoot(req.site.wwwRoot, dir, (err, stats) => {
+		if (err || !stats.isDirectory()) return errors.send(req, res, 409, 'The parent directory does not exist');
+		auth.authorizeWrite(req, res, req.site.wwwRoot, dir, callback);
+	});
+}
+
+/**
+ * Deleting, moving or replacing a directory changes everything in it. Each
+ * directory inside it (and the directory itself) with its own access policy
+ * must let the user write too.
+ */
+function authorizeSubtree(req, res, target, callback) {
+	checkSubtree(req, res, target, (dir, allowed) => auth.canWrite(req, req.site.wwwRoot, dir, allowed), 'write', callback);
+}
+
+/**
+ * Copying a directory reads everything in it. Each directory inside it with its
+ * own access policy must let the user read too.
+ */
+function authorizeReadSubtree(req, res, target, callback) {
+	// canRead takes a file. Everything directly in a directory has that directory's policy.
+	checkSubtree(req, res, target, (dir, allowed) => auth.canRead(req, req.site.wwwRoot, path.join(dir, '.access'), allowed), 'read', callback);
+}
+
+function checkSubtree(req, res, target, check, access, callback) {
+	findPolicyDirectories(target.absolutePath, (err, dirs) => {
+		if (err) return sendFailure(req, res, target, err);
+		let remaining = dirs.length;
+		if (remaining === 0) return callback();
+
+		let denied = false;
+		dirs.forEach(dir => check(dir, (allowed) => {
+			if (denied) return;
+			if (!allowed) {
+				denied = true;
+				log.warning(log.tags('WebDAV'), `${req.method} ${target.absolutePath} denied. No ${access} access to ${dir}`);
+				return errors.send(req, res, 403, 'A directory inside has an access policy that does not allow this');
+			}
+			if (--remaining === 0) callback();
+		}));
+	});
+}
+
+/**
+ * Find the directories at or under dir that have their own access policy
+ * (.access or .authorized_users). Symbolic links are not followed.
+ *
+ * @param {function} callback (err, dirs)
+ */
+function findPolicyDirectories(dir, callback) {
+	fs.readdir(dir, { withFileTypes: true }, (err, entries) => {
+		// Files and things that are already gone have nothing inside them.
+		if (err) return err.code == 'ENOTDIR' || err.code == 'ENOENT' ? callback(null, []) : callback(err);
+
+		const found = entries.some(entry => entry.name == '.access' || entry.name == '.authorized_users') ? [dir] : [];
+		const subdirectories = entries.filter(entry => entry.isDirectory()).map(entry => path.join(dir, entry.name));
+		let remaining = subdirectories.length;
+		if (remaining === 0) return callback(null, found);
+
+		let failed = false;
+		subdirectories.forEach(subdirectory => findPolicyDirectories(subdirectory, (err, dirs) => {
+			if (failed) return;
+			if (err) {
+				failed = true;
+				return callback(err);
+			}
+			found.push(...dirs);
+			if (--remaining === 0) callback(null, found);
+		}));
+	});
+}
+
+/**
+ * PROPFIND lists properties of a resource (Depth: 0) or of a directory and
+ * everything directly in it (Depth: 1). Depth: infinity is refused.
+ */
+function propfind(req, res, target) {
+	const depth = req.headers.depth ?? 'infinity';
+	if (depth !== '0' && depth !== '1') {
+		return sendXml(res, 403, `<D:error xmlns:D="DAV:"><D:propfind-finite-depth/></D:error>`);
+	}
+
+	readXml(req, (err, body) => {
+		if (err) return errors.send(req, res, err.statusCode ?? 400);
+
+		// An empty body is the same as allprop.
+		let request = { all: true };
+		if (body) {
+			if (!isDav(body, 'propfind')) return errors.send(req, res, 400, 'Expected a propfind element');
+			if (findDav(body, 'propname')) request = { namesOnly: true };
+			else if (findDav(body, 'prop')) request = { properties: findDav(body, 'prop').children };
+		}
+
+		index.statWithinRoot(req.site.wwwRoot, target.absolutePath, (err, stats) => {
+			if (err) return errors.send(req, res, 404);
+
+			authorizeRead(req, res, target, stats, () => {
+				const entries = [{ target, stats }];
+				if (depth === '0' || !stats.isDirectory()) return sendMultistatus(res, entries.map(entry => describe(entry, request)));
+
+				fs.readdir(target.absolutePath, (err, files) => {
+					if (err) return errors.send(req, res, 404);
+					const children = files.filter(file => !index.isDenied(file)).map(file => resolve(req.site, path.posix.join(target.href, encodeURIComponent(file))));
+					let remaining = children.length;
+					if (remaining === 0) return sendMultistatus(res, entries.map(entry => describe(entry, request)));
+
+					children.forEach(child => {
+						// Entries that disappear or lead outside of the root are left out.
+						index.statWithinRoot(req.site.wwwRoot, child.absolutePath, (err, stats) => {
+							if (!err) entries.push({ target: child, stats });
+							if (--remaining === 0) sendMultistatus(res, entries.map(entry => describe(entry, request)));
+						});
+					});
+				});
+			});
+		});
+	});
+}
+
+/**
+ * Properties are read from the file system. None of them can be changed and
+ * other (dead) properties are not stored.
+ */
+function proppatch(req, res, target) {
+	readXml(req, (err, body) => {
+		if (err) return errors.send(req, res, err.statusCode ?? 400);
+		if (!body || !isDav(body, 'propertyupdate')) return errors.send(req, res, 400, 'Expected a propertyupdate element');
+
+		index.statWithinRoot(req.site.wwwRoot, target.absolutePath, (err) => {
+			if (err) return errors.send(req, res, 404);
+			authorizeWrite(req, res, target, () => {
+				checkLocks(req, res, [target], false, () => {
+					const properties = body.children.filter(child => child.namespace === 'DAV:' && (child.name === 'set' || child.name === 'remove'))
+						.flatMap(change => findDav(change, 'prop')?.children ?? []);
+					sendMultistatus(res, [`<D:response><D:href>${escapeXml(target.href)}</D:href>${propstat(403, properties.map(property => emptyElement(property)).join(''))}</D:response>`]);
+				});
+			});
+		});
+	});
+}
+
+function mkcol(req, res, target) {
+	if (Number(req.headers['content-length']) > 0 || req.headers['transfer-encoding']) return errors.send(req, res, 415);
+
+	authorizeWrite(req, res, target, () => {
+		checkLocks(req, res, [target], false, () => {
+			fs.mkdir(target.absolutePath, (err) => {
+				if (err?.code == 'EEXIST') return errors.send(req, res, 405, undefined, { Allow: allowedMethods });
+				if (err) return sendFailure(req, res, target, err);
+				log.info(log.tags('WebDAV'), `${auth.currentUser(req)} created ${target.absolutePath}`);
+				res.writeHead(201, { 'Content-Length': 0 });
+				res.end();
+			});
+		});
+	});
+}
+
+function put(req, res, target) {
+	authorizeWrite(req, res, target, () => {
+		checkLocks(req, res, [target], false, () => {
+			// upload.js saves the file the same way as any other upload.
+			upload(req, res, path.dirname(target.absolutePath), target.absolutePath);
+		});
+	});
+}
+
+function remove(req, res, target) {
+	fs.lstat(target.absolutePath, (err) => {
+		if (err) return errors.send(req, res, 404);
+		authorizeWrite(req, res, target, () => authorizeSubtree(req, res, target, () => {
+			checkLocks(req, res, [target], true, () => {
+				// Symbolic links are removed, not what they point to.
+				fs.rm(target.absolutePath, { recursive: true }, (err) => {
+					if (err) return sendFailure(req, res, target, err);
+					dropLocks(target.absolutePath);
+					log.info(log.tags('WebDAV'), `${auth.currentUser(req)} deleted ${target.absolutePath}`);
+					res.writeHead(204);
+					res.end();
+				});
+			});
+		}));
+	});
+}
+
+/**
+ * COPY needs read access to the source (and everything in it). MOVE needs write
+ * access to it. Both need write access to the destination. An existing
+ * destination is replaced unless "Overwrite: F" is sent.
+ */
+function copyOrMove(req, res, source) {
+	const isMove = req.method == 'MOVE';
+	const destination = getDestination(req);
+	if (!destination) return errors.send(req, res, 400, 'Missing or invalid Destination header');
+	if (destination.elsewhere) return errors.send(req, res, 502, 'The destination is not on this server');
+	if (!auth.isInTokenScope(req, destination.href)) return errors.send(req, res, 403, 'The destination is outside of the API token\'s scope');
+	if (index.isDenied(destination.webPath)) return errors.send(req, res, 403, 'The destination name is not allowed');
+	if (destination.absolutePath === source.absolutePath) return errors.send(req, res, 403, 'The source and destination are the same');
+	if (destination.absolutePath.startsWith(source.absolutePath + path.sep)) return errors.send(req, res, 403, 'Can not copy or move a directory in to itself');
+
+	const overwrite = (req.headers.overwrite ?? 'T').toUpperCase() !== 'F';
+	const depth = req.headers.depth ?? 'infinity';
+	if (depth !== 'infinity' && !(depth === '0' && !isMove)) return errors.send(req, res, 400, 'Invalid Depth header');
+
+	index.statWithinRoot(req.site.wwwRoot, source.absolutePath, (err, stats) => {
+		if (err) return errors.send(req, res, 404);
+
+		const checkSource = isMove ? (callback) => authorizeWrite(req, res, source, () => authorizeSubtree(req, res, source, callback)) : (callback) => authorizeRead(req, res, source, stats, callback);
+		// A replaced destination is deleted first.
+		const checkDestination = (callback) => authorizeWrite(req, res, destination, () => overwrite ? authorizeSubtree(req, res, destination, callback) : callback());
+		// What's inside is checked last. The destination makes the user log in if the source didn't.
+		const checkContents = isMove || depth === '0' ? (callback) => callback() : (callback) => authorizeReadSubtree(req, res, source, callback);
+		checkSource(() => checkDestination(() => checkContents(() => {
+			checkLocks(req, res, isMove ? [source, destination] : [destination], true, () => {
+				fs.lstat(destination.absolutePath, (err) => {
+					const exists = !err;
+					if (exists && !overwrite) return errors.send(req, res, 412, 'The destination exists');
+
+					const replace = exists ? (callback) => fs.rm(destination.absolutePath, { recursive: true }, callback) : (callback) => callback();
+					replace((err) => {
+						if (err) return sendFailure(req, res, destination, err);
+
+						const done = (err) => {
+							if (err) return sendFailure(req, res, destination, err);
+							if (isMove) dropLocks(source.absolutePath);
+							log.info(log.tags('WebDAV'), `${auth.currentUser(req)} ${isMove ? 'moved' : 'copied'} ${source.absolutePath} to ${destination.absolutePath}`);
+							res.writeHead(exists ? 204 : 201, { 'Content-Length': 0 });
+							res.end();
+						};
+
+						if (isMove) fs.rename(source.absolutePath, destination.absolutePath, done);
+						else if (stats.isDirectory() && depth === '0') fs.mkdir(destination.absolutePath, done);
+						// Links are copied as links so nothing from outside of the root is copied in.
+						else fs.cp(source.absolutePath, destination.absolutePath, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true }, done);
+					});
+				});
+			});
+		})));
+	});
+}
+
+/**
+ * Parse the Destination header of a COPY or MOVE.
+ *
+ * @return {object?} Like resolve(). {elsewhere: true} if it's on another server or outside of WebDAV.
+ */
+function getDestination(req) {
+	let requested, destination;
+	try {
+		requested = new URL(`${req.socket.encrypted ? 'https' : 'http'}://${req.headers.host}`);
+		destination = new URL(req.headers.destination, requested);
+	} catch (err) {
+		return null;
+	}
+	// URL leaves out default ports so "example.com" and "example.com:443" are the same over HTTPS.
+	if (destination.protocol !== requested.protocol || destination.host !== requested.host || !module.exports.handles(destination.pathname)) return { elsewhere: true };
+	return resolve(req.site, destination.pathname);
+}
+
+/**
+ * LOCK creates a lock (with a lockinfo body) or refreshes one (without a body).
+ * Locking a path that doesn't exist creates an empty file.
+ */
+function lock(req, res, target) {
+	readXml(req, (err, body) => {
+		if (err) return errors.send(req, res, err.statusCode ?? 400);
+
+		authorizeWrite(req, res, target, () => {
+			const user = auth.currentUser(req);
+			const timeout = getTimeout(req);
+
+			if (!body) {
+				const submitted = getSubmittedTokens(req);
+				const existing = getLocks(target.absolutePath, false).find(lock => submitted.includes(lock.token) && lock.user === user);
+				if (!existing) return errors.send(req, res, 412, 'No matching lock to refresh');
+				existing.timeout = timeout;
+				existing.expires = Date.now() + timeout * 1000;
+				return sendXml(res, 200, `<D:prop xmlns:D="DAV:"><D:lockdiscovery>${activeLock(existing)}</D:lockdiscovery></D:prop>`);
+			}
+
+			if (!isDav(body, 'lockinfo') || !findDav(findDav(body, 'locktype'), 'write')) return errors.send(req, res, 400, 'Only write locks are supported');
+			const scope = findDav(findDav(body, 'lockscope'), 'shared') ? 'shared' : 'exclusive';
+			const depth = req.headers.depth ?? 'infinity';
+			if (depth !== '0' && depth !== 'infinity') return errors.send(req, res, 400, 'Invalid Depth header');
+
+			const conflicts = getLocks(target.absolutePath, depth === 'infinity').filter(lock => scope === 'exclusive' || lock.scope === 'exclusive');
+			if (conflicts.length > 0) return sendLocked(res, conflicts);
+
+			const owner = findDav(body, 'owner');
+			const newLock = {
+				token: `urn:uuid:${randomUUID()}`,
+				absolutePath: target.absolutePath,
+				href: target.href,
+				scope,
+				depth,
+				owner: owner ? (findDav(owner, 'href') ? `<D:href>${escapeXml(findDav(owner, 'href').text.trim())}</D:href>` : escapeXml(owner.text.trim())) : '',
+				user,
+				timeout,
+				expires: Date.now() + timeout * 1000,
+			};
+
+			// Nothing to lock yet. Create an empty file.
+			fs.writeFile(target.absolutePath, '', { flag: 'wx' }, (err) => {
+				if (err && err.code != 'EEXIST') return sendFailure(req, res, target, err);
+				locks.set(newLock.token, newLock);
+				res.setHeader('Lock-Token', `<${newLock.token}>`);
+				sendXml(res, err ? 200 : 201, `<D:prop xmlns:D="DAV:"><D:lockdiscovery>${activeLock(newLock)}</D:lockdiscovery></D:prop>`);
+			});
+		});
+	});
+}
+
+function unlock(req, res, target) {
+	const token = /^\s*<([^>]+)>\s*$/.exec(req.headers['lock-token'] ?? '')?.[1];
+	if (!token) return errors.send(req, res, 400, 'Missing Lock-Token header');
+
+	authorizeWrite(req, res, target, () => {
+		const existing = getLocks(target.absolutePath, false).find(lock => lock.token === token);
+		if (!existing) return sendXml(res, 409, `<D:error xmlns:D="DAV:"><D:lock-token-matches-request-uri/></D:error>`);
+		if (existing.user !== auth.currentUser(req)) return errors.send(req, res, 403, 'The lock belongs to someone else');
+		locks.delete(token);
+		res.writeHead(204);
+		res.end();
+	});
+}
+
+/**
+ * Active locks that cover a path (on it or on a directory above it with Depth:
+ * infinity). With deep, locks on anything below the path too.
+ */
+function getLocks(absolutePath, deep) {
+	const now = Date.now();
+	return [...locks.values()].filter(lock => {
+		if (lock.expires <= now) {
+			locks.delete(lock.token);
+			return false;
+		}
+		return lock.absolutePath === absolutePath
+			|| (lock.depth === 'infinity' && absolutePath.startsWith(lock.absolutePath + path.sep))
+			|| (deep && lock.absolutePath.startsWith(absolutePath + path.sep));
+	});
+}
+
+/**
+ * Send a 423 unless the request has the token (in its If header) of every lock
+ * on the targets. Only the user who made a lock can use its token.
+ */
+function checkLocks(req, res, targets, deep, callback) {
+	const submitted = getSubmittedTokens(req);
+	const user = auth.currentUser(req);
+	const conflicts = targets.flatMap(target => getLocks(target.absolutePath, deep)).filter(lock => !submitted.includes(lock.token) || lock.user !== user);
+	if (conflicts.length > 0) return sendLocked(res, conflicts);
+	callback();
+}
+
+/**
+ * Lock tokens from the If header: (<urn:uuid:...>) lists. Negated ("Not")
+ * tokens and resource tags are skipped.
+ */
+function getSubmittedTokens(req) {
+	return [...(req.headers.if ?? '').matchAll(/\(([^)]*)\)/g)].flatMap(([, list]) => [...list.matchAll(/(Not\s*)?<([^>]+)>/gi)].filter(match => !match[1]).map(match => match[2]));
+}
+
+function dropLocks(absolutePath) {
+	[...locks.values()].filter(lock => lock.absolutePath === absolutePath || lock.absolutePath.startsWith(absolutePath + path.sep)).forEach(lock => locks.delete(lock.token));
+}
+
+function getTimeout(req) {
+	const requested = (req.headers.timeout ?? '').split(',').map(option => option.trim())[0];
+	if (/^infinite$/i.test(requested)) return maxLockTimeout;
+	const seconds = Number(/^Second-(\d+)$/i.exec(requested)?.[1]);
+	return seconds > 0 ? Math.min(seconds, maxLockTimeout) : defaultLockTimeout;
+}
+
+function sendLocked(res, conflicts) {
+	sendXml(res, 423, `<D:error xmlns:D="DAV:"><D:lock-token-submitted>${[...new Set(conflicts.map(lock => lock.href))].map(href => `<D:href>${escapeXml(href)}</D:href>`).join('')}</D:lock-token-submitted></D:error>`);
+}
+
+function activeLock(lock) {
+	return `<D:activelock><D:locktype><D:write/></D:locktype><D:lockscope><D:${lock.scope}/></D:lockscope><D:depth>${lock.depth}</D:depth>${lock.owner ? `<D:owner>${lock.owner}</D:owner>` : ''}<D:timeout>Second-${lock.timeout}</D:timeout><D:locktoken><D:href>${lock.token}</D:href></D:locktoken><D:lockroot><D:href>${escapeXml(lock.href)}</D:href></D:lockroot></D:activelock>`;
+}
+
+/**
+ * Properties that come from the file system. Each returns the property's XML
+ * content or undefined if the resource doesn't have it.
+ */
+const liveProperties = {
+	creationdate: ({ stats }) => stats.birthtime.toISOString(),
+	displayname: ({ target }) => escapeXml(path.posix.basename(target.webPath) || '/'),
+	getcontentlength: ({ stats }) => stats.isFile() ? String(stats.size) : undefined,
+	getcontenttype: ({ target, stats }) => stats.isFile() ? escapeXml(index.getMimeType(target.webPath) ?? 'application/octet-stream') : undefined,
+	getetag: ({ stats }) => stats.isFile() ? escapeXml(index.getEntityTag(stats)) : undefined,
+	getlastmodified: ({ stats }) => stats.mtime.toUTCString(),
+	resourcetype: ({ stats }) => stats.isDirectory() ? '<D:collection/>' : '',
+	supportedlock: () => ['exclusive', 'shared'].map(scope => `<D:lockentry><D:lockscope><D:${scope}/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>`).join(''),
+	lockdiscovery: ({ target }) => getLocks(target.absolutePath, false).map(activeLock).join(''),
+};
+
+/**
+ * The response element for one resource in a PROPFIND.
+ */
+function describe(entry, request) {
+	const href = escapeXml(entry.target.href + (entry.stats.isDirectory() && entry.target.webPath !== '/' ? '/' : ''));
+	const names = Object.keys(liveProperties);
+
+	if (request.namesOnly) {
+		return `<D:response><D:href>${href}</D:href>${propstat(200, names.filter(name => liveProperties[name](entry) !== undefined).map(name => `<D:${name}/>`).join(''))}</D:response>`;
+	}
+
+	const found = [];
+	const missing = [];
+	const requested = request.all ? names.map(name => ({ namespace: 'DAV:', name })) : request.properties;
+	requested.forEach(property => {
+		const value = property.namespace === 'DAV:' && liveProperties.hasOwnProperty(property.name) ? liveProperties[property.name](entry) : undefined;
+		if (value === undefined) missing.push(emptyElement(property));
+		else found.push(`<D:${property.name}>${value}</D:${property.name}>`);
+	});
+
+	return `<D:response><D:href>${href}</D:href>${found.length ? propstat(200, found.join('')) : ''}${missing.length && !request.all ? propstat(404, missing.join('')) : ''}</D:response>`;
+}
+
+function propstat(statusCode, properties) {
+	return `<D:propstat><D:prop>${properties}</D:prop><D:status>HTTP/1.1 ${statusCode} ${statusCode == 200 ? 'OK' : statusCode == 403 ? 'Forbidden' : 'Not Found'}</D:status></D:propstat>`;
+}
+
+/**
+ * An empty element for a requested property, in its own namespace.
+ */
+function emptyElement(property) {
+	if (property.namespace === 'DAV:') return `<D:${property.name}/>`;
+	return `<${property.name} xmlns="${escapeXml(property.namespace)}"/>`;
+}
+
+function sendMultistatus(res, responses) {
+	sendXml(res, 207, `<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`);
+}
+
+function sendXml(res, statusCode, xml) {
+	const body = `<?xml version="1.0" encoding="utf-8"?>\n${xml}`;
+	res.writeHead(statusCode, { 'Content-Type': 'application/xml; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+	res.end(body);
+}
+
+function sendFailure(req, res, target, err) {
+	log.error(log.tags('WebDAV'), `${req.method} ${target.absolutePath} failed: ${err.message}`);
+	errors.send(req, res, err.code == 'ENOENT' ? 409 : 500);
+}
+
+/**
+ * Read and parse an XML request body.
+ *
+ * @param {function} callback (err, element) element is null if there is no body. err has a statusCode.
+ */
+function readXml(req, callback) {
+	const body = [];
+	let size = 0;
+	req.on('data', (chunk) => {
+		size += chunk.length;
+		if (size <= maxBodySize) body.push(chunk);
+	}).on('end', () => {
+		if (size > maxBodySize) return callback(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+		const text = Buffer.concat(body).toString().trim();
+		if (!text) return callback(null, null);
+
+		let element;
+		try {
+			element = parseXml(text);
+		} catch (err) {
+			return callback(Object.assign(err, { statusCode: 400 }));
+		}
+		callback(null, element);
+	}).on('error', callback);
+}
+
+/**
+ * A small, non-validating XML parser. It is just enough for WebDAV request
+ * bodies. Document type declarations (and so entity definitions) are refused.
+ *
+ * @param {string} text
+ * @return {object} The document element. Elements are {namespace, name, children, text}.
+ */
+function parseXml(text) {
+	const documentNode = { children: [], text: '' };
+	const stack = [{ node: documentNode, namespaces: {} }];
+	const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s<>\/!?]+)((?:\s+[^\s=<>\/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+
+	for (const [, cdata, closing, tagName, attributeText, selfClosing, characters, stray] of text.matchAll(tokens)) {
+		const current = stack[stack.length - 1];
+		if (stray !== undefined) throw new Error('Malformed XML');
+		if (cdata !== undefined || characters !== undefined) {
+			current.node.text += cdata ?? decodeEntities(characters);
+			continue;
+		}
+		// Comments and processing instructions
+		if (!tagName) continue;
+
+		if (closing) {
+			if (current.tagName !== tagName) throw new Error(`Unexpected </${tagName}>`);
+			stack.pop();
+			continue;
+		}
+
+		const namespaces = Object.assign({}, current.namespaces);
+		for (const [, name, value] of attributeText.matchAll(/([^\s=]+)\s*=\s*("[^"]*"|'[^']*')/g)) {
+			if (name === 'xmlns') namespaces[''] = decodeEntities(value.slice(1, -1));
+			else if (name.startsWith('xmlns:')) namespaces[name.substring(6)] = decodeEntities(value.slice(1, -1));
+		}
+
+		const separator = tagName.indexOf(':');
+		const prefix = separator > 0 ? tagName.substring(0, separator) : '';
+		if (prefix && namespaces[prefix] === undefined) throw new Error(`Unknown namespace prefix ${prefix}`);
+		const node = { namespace: namespaces[prefix] ?? '', name: tagName.substring(separator + 1), children: [], text: '' };
+		current.node.children.push(node);
+		if (!selfClosing) stack.push({ node, namespaces, tagName });
+	}
+
+	if (stack.length > 1 || documentNode.children.length !== 1) throw new Error('Malformed XML');
+	return documentNode.children[0];
+}
+
+function decodeEntities(text) {
+	return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+		if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : Number(name.substring(1)));
+		return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+	});
+}
+
+const isDav = (element, name) => element?.namespace === 'DAV:' && element.name === name;
+const findDav = (element, name) => element?.children.find(child => isDav(child, name));
+
+function escapeXml(text) {
+	return text.replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'})[c]);
+}